@@ -62,10 +62,28 @@ async function executeTransaction(queries) {
     }
 }
 
+// Run a callback on a dedicated connection inside a transaction; commits when the
+// callback resolves and rolls back (re-throwing the error) when it throws
+async function withTransaction(callback) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const result = await callback(connection);
+        await connection.commit();
+        return result;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
 module.exports = {
     pool,
     testConnection,
     executeQuery,
-    executeTransaction
+    executeTransaction,
+    withTransaction
 };
 
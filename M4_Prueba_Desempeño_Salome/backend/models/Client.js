@@ -1,9 +1,53 @@
 const { executeQuery, executeTransaction } = require('../config/database');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 
 class Client {
-    // Get all clients
-    static async getAll() {
+    // Columns the client list can be sorted by
+    static SORT_FIELDS = ['client_code', 'first_name', 'last_name', 'email', 'city', 'department', 'is_active', 'created_at'];
+
+    static DEFAULT_PAGE_SIZE = 20;
+    static MAX_PAGE_SIZE = 100;
+
+    // Get a page of clients. Filters: is_active (boolean), city, department, created_from and
+    // created_to (YYYY-MM-DD, inclusive); options: page, pageSize, sort (one of SORT_FIELDS),
+    // order (asc/desc). Resolves with the rows of the page and the total of matching clients.
+    static async getAll(filters = {}, options = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.is_active !== undefined) {
+            conditions.push('is_active = ?');
+            params.push(filters.is_active ? 1 : 0);
+        }
+        if (filters.city) {
+            conditions.push('city = ?');
+            params.push(filters.city);
+        }
+        if (filters.department) {
+            conditions.push('department = ?');
+            params.push(filters.department);
+        }
+        if (filters.created_from) {
+            conditions.push('created_at >= ?');
+            params.push(`${filters.created_from} 00:00:00`);
+        }
+        if (filters.created_to) {
+            conditions.push('created_at <= ?');
+            params.push(`${filters.created_to} 23:59:59`);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const sort = Client.SORT_FIELDS.includes(options.sort) ? options.sort : 'created_at';
+        const order = options.order === 'asc' ? 'ASC' : 'DESC';
+        const pageSize = options.pageSize || Client.DEFAULT_PAGE_SIZE;
+        const offset = ((options.page || 1) - 1) * pageSize;
+
+        const countResult = await executeQuery(`SELECT COUNT(*) AS total FROM clients ${where}`, params);
+        if (!countResult.success) {
+            return countResult;
+        }
+
+        // Sort column comes from SORT_FIELDS and LIMIT/OFFSET are integers, so they are inlined
         const query = `
             SELECT 
                 client_id,
@@ -19,9 +63,15 @@ class Client {
                 created_at,
                 updated_at
             FROM clients 
-            ORDER BY created_at DESC
+            ${where}
+            ORDER BY ${sort} ${order}, client_id ${order}
+            LIMIT ${pageSize} OFFSET ${offset}
         `;
-        return await executeQuery(query);
+        const result = await executeQuery(query, params);
+
+        return result.success
+            ? { success: true, data: result.data, total: countResult.data[0].total }
+            : result;
     }
 
     // Get client by ID
@@ -246,6 +296,91 @@ class Client {
         ];
     }
 
+    // Validation rules for the client list parameters
+    static getListValidationRules() {
+        return [
+            query('page')
+                .optional()
+                .isInt({ min: 1 })
+                .withMessage('Page must be a positive integer')
+                .toInt(),
+            
+            query('pageSize')
+                .optional()
+                .isInt({ min: 1, max: Client.MAX_PAGE_SIZE })
+                .withMessage(`Page size must be between 1 and ${Client.MAX_PAGE_SIZE}`)
+                .toInt(),
+            
+            query('sort')
+                .optional()
+                .isIn(Client.SORT_FIELDS)
+                .withMessage(`Sort must be one of: ${Client.SORT_FIELDS.join(', ')}`),
+            
+            query('order')
+                .optional()
+                .isIn(['asc', 'desc'])
+                .withMessage('Order must be asc or desc'),
+            
+            query('is_active')
+                .optional()
+                .isIn(['true', 'false'])
+                .withMessage('is_active must be true or false')
+                .toBoolean(true),
+            
+            query('city')
+                .optional()
+                .isLength({ max: 100 })
+                .withMessage('City must not exceed 100 characters'),
+            
+            query('department')
+                .optional()
+                .isLength({ max: 100 })
+                .withMessage('Department must not exceed 100 characters'),
+            
+            query('created_from')
+                .optional()
+                .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+                .withMessage('Created from must be a valid date (YYYY-MM-DD)'),
+            
+            query('created_to')
+                .optional()
+                .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+                .withMessage('Created to must be a valid date (YYYY-MM-DD)')
+                .custom((value, { req }) => !req.query.created_from || value >= req.query.created_from)
+                .withMessage('Created to cannot be earlier than created from')
+        ];
+    }
+
+    // Validation rules for account statement parameters
+    static getStatementValidationRules() {
+        return [
+            query('from')
+                .optional()
+                .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+                .withMessage('From date must be a valid date (YYYY-MM-DD)')
+                .bail()
+                // Without a to date the statement ends today
+                .custom((value, { req }) => {
+                    const today = new Date();
+                    const todayString = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+                    return Boolean(req.query.to) || value <= todayString;
+                })
+                .withMessage('From date cannot be later than today when no to date is given'),
+            
+            query('to')
+                .optional()
+                .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+                .withMessage('To date must be a valid date (YYYY-MM-DD)')
+                .custom((value, { req }) => !req.query.from || value >= req.query.from)
+                .withMessage('To date cannot be earlier than from date'),
+            
+            query('format')
+                .optional()
+                .isIn(['json', 'html', 'pdf'])
+                .withMessage('Format must be one of: json, html, pdf')
+        ];
+    }
+
     // Check validation results
     static checkValidation(req) {
         const errors = validationResult(req);
@@ -0,0 +1,437 @@
+const { executeQuery, withTransaction } = require('../config/database');
+const Invoice = require('./Invoice');
+
+class ImportBatch {
+    // Final statuses of an import (must match the import_batches.status ENUM)
+    static STATUSES = ['RUNNING', 'COMPLETED', 'PARTIAL', 'ROLLED_BACK', 'FAILED', 'REVERTED'];
+
+    // Columns restored when reverting an update, per entity type
+    static RESTORED_COLUMNS = {
+        CLIENT: {
+            table: 'clients',
+            idColumn: 'client_id',
+            columns: ['first_name', 'last_name', 'email', 'phone', 'address', 'city', 'department', 'import_batch_id']
+        },
+        INVOICE: {
+            table: 'invoices',
+            idColumn: 'invoice_id',
+            columns: ['billing_period', 'invoice_date', 'due_date', 'total_amount', 'import_batch_id']
+        },
+        TRANSACTION: {
+            table: 'transactions',
+            idColumn: 'transaction_id',
+            columns: ['invoice_id', 'platform_id', 'transaction_date', 'amount', 'transaction_type', 'status', 'import_batch_id']
+        }
+    };
+
+    // How date columns are read so the values recorded after an import and the values read
+    // again before reverting it compare as plain text
+    static READ_EXPRESSIONS = {
+        invoice_date: "DATE_FORMAT(invoice_date, '%Y-%m-%d')",
+        due_date: "DATE_FORMAT(due_date, '%Y-%m-%d')",
+        transaction_date: "DATE_FORMAT(transaction_date, '%Y-%m-%d %H:%i:%s')"
+    };
+
+    // Get all import batches (most recent first)
+    static async getAll() {
+        const query = `
+            SELECT
+                batch_id,
+                file_name,
+                file_checksum,
+                uploaded_by,
+                mapping_profile_id,
+                conflict_policies,
+                source,
+                status,
+                rows_total,
+                clients_created,
+                clients_updated,
+                clients_skipped,
+                invoices_created,
+                invoices_updated,
+                invoices_skipped,
+                transactions_created,
+                transactions_updated,
+                transactions_skipped,
+                errors_count,
+                warnings_count,
+                rows_failed,
+                started_at,
+                finished_at,
+                reverted_at
+            FROM import_batches
+            ORDER BY started_at DESC, batch_id DESC
+        `;
+        return await executeQuery(query);
+    }
+
+    // Get import batch by ID, including its errors and warnings
+    static async getById(batchId) {
+        const query = `
+            SELECT
+                batch_id,
+                file_name,
+                file_checksum,
+                uploaded_by,
+                mapping_profile_id,
+                conflict_policies,
+                source,
+                status,
+                rows_total,
+                clients_created,
+                clients_updated,
+                clients_skipped,
+                invoices_created,
+                invoices_updated,
+                invoices_skipped,
+                transactions_created,
+                transactions_updated,
+                transactions_skipped,
+                errors_count,
+                errors,
+                warnings_count,
+                warnings,
+                rows_failed,
+                started_at,
+                finished_at,
+                reverted_at
+            FROM import_batches
+            WHERE batch_id = ?
+        `;
+        return await executeQuery(query, [batchId]);
+    }
+
+    // Get the original rows an import could not load, with their errors
+    static async getFailedRows(batchId) {
+        const query = `
+            SELECT
+                batch_id,
+                failed_rows
+            FROM import_batches
+            WHERE batch_id = ?
+        `;
+        return await executeQuery(query, [batchId]);
+    }
+
+    // Register a running import
+    static async create(batchData) {
+        const query = `
+            INSERT INTO import_batches (
+                file_name,
+                file_checksum,
+                uploaded_by,
+                mapping_profile_id,
+                conflict_policies,
+                source,
+                rows_total,
+                started_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+        `;
+
+        const params = [
+            batchData.file_name,
+            batchData.file_checksum,
+            batchData.uploaded_by || null,
+            batchData.mapping_profile_id || null,
+            batchData.conflict_policies ? JSON.stringify(batchData.conflict_policies) : null,
+            batchData.source,
+            batchData.rows_total
+        ];
+
+        return await executeQuery(query, params);
+    }
+
+    // Store the final status, counts, errors and warnings of an import, and the rows it
+    // could not load ({ columns, rows: [{ row, values, error }] })
+    static async finish(batchId, status, stats, failedRows = null) {
+        const query = `
+            UPDATE import_batches SET
+                status = ?,
+                clients_created = ?,
+                clients_updated = ?,
+                clients_skipped = ?,
+                invoices_created = ?,
+                invoices_updated = ?,
+                invoices_skipped = ?,
+                transactions_created = ?,
+                transactions_updated = ?,
+                transactions_skipped = ?,
+                errors_count = ?,
+                errors = ?,
+                warnings_count = ?,
+                warnings = ?,
+                rows_failed = ?,
+                failed_rows = ?,
+                finished_at = NOW()
+            WHERE batch_id = ?
+        `;
+
+        const errors = stats ? stats.errors : [];
+        const warnings = stats ? stats.warnings : [];
+        const params = [
+            status,
+            stats ? stats.clients_created : 0,
+            stats ? stats.clients_updated : 0,
+            stats ? stats.clients_skipped : 0,
+            stats ? stats.invoices_created : 0,
+            stats ? stats.invoices_updated : 0,
+            stats ? stats.invoices_skipped : 0,
+            stats ? stats.transactions_created : 0,
+            stats ? stats.transactions_updated : 0,
+            stats ? stats.transactions_skipped : 0,
+            errors.length,
+            JSON.stringify(errors),
+            warnings.length,
+            JSON.stringify(warnings),
+            failedRows ? failedRows.rows.length : 0,
+            failedRows ? JSON.stringify(failedRows) : null,
+            batchId
+        ];
+
+        return await executeQuery(query, params);
+    }
+
+    // Build the query that records the state of rows before a batch touched them and the
+    // values the batch wrote in them.
+    // changes: [{ entity_type, entity_id, action: 'CREATED' | 'UPDATED', previous_values, written_values }]
+    static getChangeRecordQuery(batchId, changes) {
+        return {
+            sql: `
+                INSERT INTO import_batch_changes
+                (batch_id, entity_type, entity_id, action, previous_values, written_values)
+                VALUES ${changes.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}
+            `,
+            params: changes.flatMap(change => [
+                batchId,
+                change.entity_type,
+                change.entity_id,
+                change.action,
+                change.previous_values ? JSON.stringify(change.previous_values) : null,
+                change.written_values ? JSON.stringify(change.written_values) : null
+            ])
+        };
+    }
+
+    // Build the query that replaces the written values of a row a batch wrote again in a later chunk
+    static getWrittenValuesUpdateQuery(batchId, entityType, entityId, writtenValues) {
+        return {
+            sql: `
+                UPDATE import_batch_changes SET written_values = ?
+                WHERE batch_id = ? AND entity_type = ? AND entity_id = ?
+            `,
+            params: [JSON.stringify(writtenValues), batchId, entityType, entityId]
+        };
+    }
+
+    // Build the query that reads the restored columns of some rows of an entity, as recorded
+    // in previous_values and written_values
+    static getRestoredValuesQuery(entityType, ids) {
+        const { table, idColumn, columns } = ImportBatch.RESTORED_COLUMNS[entityType];
+        const select = columns.map(column => ImportBatch.READ_EXPRESSIONS[column]
+            ? `${ImportBatch.READ_EXPRESSIONS[column]} AS ${column}`
+            : column);
+        return {
+            sql: `SELECT ${idColumn}, ${select.join(', ')} FROM ${table} WHERE ${idColumn} IN (${ids.map(() => '?').join(', ')})`,
+            params: ids
+        };
+    }
+
+    // Revert exactly what a batch changed: delete the rows it created and restore the
+    // previous values of the rows it updated, then re-derive the affected invoice balances.
+    // Fails with conflict: true when a later import, a later edit or other data depends on those rows.
+    static async revert(batchId) {
+        try {
+            const data = await withTransaction(async (connection) => {
+                const query = async (sql, params = []) => (await connection.execute(sql, params))[0];
+
+                const batches = await query(
+                    'SELECT batch_id, status FROM import_batches WHERE batch_id = ? FOR UPDATE',
+                    [batchId]
+                );
+                if (batches.length === 0) {
+                    throw ImportBatch.conflict('Import batch not found', true);
+                }
+                if (batches[0].status === 'REVERTED') {
+                    throw ImportBatch.conflict('Import batch has already been reverted');
+                }
+                if (batches[0].status === 'RUNNING') {
+                    throw ImportBatch.conflict('Import batch is still running');
+                }
+
+                const changes = await query(
+                    `SELECT entity_type, entity_id, action, previous_values, written_values
+                    FROM import_batch_changes
+                    WHERE batch_id = ?
+                    ORDER BY change_id`,
+                    [batchId]
+                );
+
+                // Rows changed again by a later import must be reverted there first
+                for (const entityType of Object.keys(ImportBatch.RESTORED_COLUMNS)) {
+                    const { table, idColumn } = ImportBatch.RESTORED_COLUMNS[entityType];
+                    const ids = ImportBatch.idsOf(changes, entityType);
+                    const changed = await ImportBatch.countIn(query,
+                        `SELECT COUNT(*) AS total FROM ${table} WHERE import_batch_id <> ? AND ${idColumn} IN`, ids, [batchId]);
+                    if (changed > 0) {
+                        throw ImportBatch.conflict(`${changed} ${table} row(s) were changed by a later import, revert that import first`);
+                    }
+
+                    // Rows edited after the import would lose those edits, so they block the rollback as well
+                    const edited = await ImportBatch.countEdited(query, changes, entityType);
+                    if (edited > 0) {
+                        throw ImportBatch.conflict(`${edited} ${table} row(s) were edited after this import, it can no longer be reverted`);
+                    }
+                }
+
+                const summary = {};
+                const affectedInvoices = new Set();
+
+                // Transactions: remember their invoices before deleting or restoring them
+                const transactionIds = ImportBatch.idsOf(changes, 'TRANSACTION');
+                for (let i = 0; i < transactionIds.length; i += 1000) {
+                    const chunk = transactionIds.slice(i, i + 1000);
+                    const rows = await query(
+                        `SELECT invoice_id FROM transactions WHERE transaction_id IN (${chunk.map(() => '?').join(', ')})`,
+                        chunk
+                    );
+                    rows.forEach(row => affectedInvoices.add(row.invoice_id));
+                }
+                await ImportBatch.revertEntity(query, changes, 'TRANSACTION', summary);
+                changes
+                    .filter(change => change.entity_type === 'TRANSACTION' && change.action === 'UPDATED')
+                    .forEach(change => affectedInvoices.add(ImportBatch.parseValues(change).invoice_id));
+
+                // Invoices created by the batch can only go if nothing else was paid on them
+                const createdInvoices = ImportBatch.idsOf(changes, 'INVOICE', 'CREATED');
+                const invoiceTransactions = await ImportBatch.countIn(query,
+                    'SELECT COUNT(*) AS total FROM transactions WHERE invoice_id IN', createdInvoices);
+                if (invoiceTransactions > 0) {
+                    throw ImportBatch.conflict(`Invoices created by this import have ${invoiceTransactions} transaction(s) from other sources`);
+                }
+                await ImportBatch.revertEntity(query, changes, 'INVOICE', summary);
+                ImportBatch.idsOf(changes, 'INVOICE', 'UPDATED').forEach(id => affectedInvoices.add(id));
+
+                // Clients created by the batch can only go if they have no other invoices
+                const createdClients = ImportBatch.idsOf(changes, 'CLIENT', 'CREATED');
+                const clientInvoices = await ImportBatch.countIn(query,
+                    'SELECT COUNT(*) AS total FROM invoices WHERE client_id IN', createdClients);
+                if (clientInvoices > 0) {
+                    throw ImportBatch.conflict(`Clients created by this import have ${clientInvoices} invoice(s) from other sources`);
+                }
+                await ImportBatch.revertEntity(query, changes, 'CLIENT', summary);
+
+                // Re-derive balances of the invoices that still exist
+                const invoiceIds = [...affectedInvoices];
+                for (let i = 0; i < invoiceIds.length; i += 500) {
+                    const { sql, params } = Invoice.getBulkBalanceRecalculationQuery(invoiceIds.slice(i, i + 500));
+                    await query(sql, params);
+                }
+
+                await query(
+                    `UPDATE import_batches SET
+                        status = 'REVERTED',
+                        reverted_at = NOW()
+                    WHERE batch_id = ?`,
+                    [batchId]
+                );
+
+                return summary;
+            });
+
+            return { success: true, data };
+        } catch (error) {
+            if (error.conflict) {
+                return { success: false, conflict: true, notFound: error.notFound, error: error.message };
+            }
+            console.error('Import batch revert error:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Delete the rows of an entity created by the batch and restore the ones it updated
+    static async revertEntity(query, changes, entityType, summary) {
+        const { table, idColumn, columns } = ImportBatch.RESTORED_COLUMNS[entityType];
+
+        const createdIds = ImportBatch.idsOf(changes, entityType, 'CREATED');
+        for (let i = 0; i < createdIds.length; i += 1000) {
+            const chunk = createdIds.slice(i, i + 1000);
+            await query(`DELETE FROM ${table} WHERE ${idColumn} IN (${chunk.map(() => '?').join(', ')})`, chunk);
+        }
+
+        const updates = changes.filter(change => change.entity_type === entityType && change.action === 'UPDATED');
+        for (const change of updates) {
+            const previous = ImportBatch.parseValues(change);
+            await query(
+                `UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE ${idColumn} = ?`,
+                [...columns.map(column => previous[column] === undefined ? null : previous[column]), change.entity_id]
+            );
+        }
+
+        summary[`${table}_deleted`] = createdIds.length;
+        summary[`${table}_restored`] = updates.length;
+    }
+
+    // Count the rows of an entity whose restored columns no longer hold what the batch wrote.
+    // Columns derived by the system (invoice paid_amount and status, updated_at) are not restored
+    // and are re-derived after the revert, so the overdue sweep and balance updates do not count.
+    // Changes recorded without written values cannot be checked.
+    static async countEdited(query, changes, entityType) {
+        const { idColumn, columns } = ImportBatch.RESTORED_COLUMNS[entityType];
+        const compared = columns.filter(column => column !== 'import_batch_id');
+        const written = new Map(changes
+            .filter(change => change.entity_type === entityType && change.written_values)
+            .map(change => [change.entity_id, ImportBatch.parseJson(change.written_values)]));
+        const ids = [...written.keys()];
+        const asText = value => (value === null || value === undefined ? null : String(value));
+
+        let edited = 0;
+        for (let i = 0; i < ids.length; i += 1000) {
+            const { sql, params } = ImportBatch.getRestoredValuesQuery(entityType, ids.slice(i, i + 1000));
+            const rows = await query(sql, params);
+            rows.forEach(row => {
+                const values = written.get(row[idColumn]);
+                if (compared.some(column => asText(row[column]) !== asText(values[column]))) {
+                    edited++;
+                }
+            });
+        }
+        return edited;
+    }
+
+    // IDs of the changed rows of an entity, optionally only for one action
+    static idsOf(changes, entityType, action = null) {
+        return changes
+            .filter(change => change.entity_type === entityType && (!action || change.action === action))
+            .map(change => change.entity_id);
+    }
+
+    // Run a COUNT(*) ... IN (ids) query in chunks and add up the totals
+    static async countIn(query, sqlPrefix, ids, leadingParams = []) {
+        let total = 0;
+        for (let i = 0; i < ids.length; i += 1000) {
+            const chunk = ids.slice(i, i + 1000);
+            const rows = await query(`${sqlPrefix} (${chunk.map(() => '?').join(', ')})`, [...leadingParams, ...chunk]);
+            total += Number(rows[0].total);
+        }
+        return total;
+    }
+
+    // previous_values comes back parsed from JSON columns, or as text from older drivers
+    static parseValues(change) {
+        return ImportBatch.parseJson(change.previous_values) || {};
+    }
+
+    static parseJson(value) {
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+
+    static conflict(message, notFound = false) {
+        const error = new Error(message);
+        error.conflict = true;
+        error.notFound = notFound;
+        return error;
+    }
+}
+
+module.exports = ImportBatch;
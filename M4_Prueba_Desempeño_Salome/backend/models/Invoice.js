@@ -0,0 +1,329 @@
+const { executeQuery, executeTransaction } = require('../config/database');
+const { body, validationResult } = require('express-validator');
+
+class Invoice {
+    // Allowed invoice statuses (must match the invoices.status ENUM)
+    static STATUSES = ['PENDING', 'PARTIAL', 'PAID', 'OVERDUE', 'CANCELLED'];
+
+    // Days between invoice date and due date when no due date is given
+    static DEFAULT_PAYMENT_TERM_DAYS = 30;
+
+    // Get all invoices
+    static async getAll() {
+        const query = `
+            SELECT
+                i.invoice_id,
+                i.invoice_number,
+                i.client_id,
+                c.client_code,
+                CONCAT(c.first_name, ' ', c.last_name) AS client_name,
+                i.billing_period,
+                i.invoice_date,
+                i.due_date,
+                i.total_amount,
+                i.paid_amount,
+                (i.total_amount - i.paid_amount) AS pending_amount,
+                i.status,
+                i.description,
+                i.created_at,
+                i.updated_at
+            FROM invoices i
+            JOIN clients c ON i.client_id = c.client_id
+            ORDER BY i.created_at DESC
+        `;
+        return await executeQuery(query);
+    }
+
+    // Get invoice by ID
+    static async getById(invoiceId) {
+        const query = `
+            SELECT
+                i.invoice_id,
+                i.invoice_number,
+                i.client_id,
+                c.client_code,
+                CONCAT(c.first_name, ' ', c.last_name) AS client_name,
+                i.billing_period,
+                i.invoice_date,
+                i.due_date,
+                i.total_amount,
+                i.paid_amount,
+                (i.total_amount - i.paid_amount) AS pending_amount,
+                i.status,
+                i.description,
+                i.created_at,
+                i.updated_at
+            FROM invoices i
+            JOIN clients c ON i.client_id = c.client_id
+            WHERE i.invoice_id = ?
+        `;
+        return await executeQuery(query, [invoiceId]);
+    }
+
+    // Get invoice by number
+    static async getByNumber(invoiceNumber) {
+        const query = `
+            SELECT
+                i.invoice_id,
+                i.invoice_number,
+                i.client_id,
+                c.client_code,
+                CONCAT(c.first_name, ' ', c.last_name) AS client_name,
+                i.billing_period,
+                i.invoice_date,
+                i.due_date,
+                i.total_amount,
+                i.paid_amount,
+                (i.total_amount - i.paid_amount) AS pending_amount,
+                i.status,
+                i.description,
+                i.created_at,
+                i.updated_at
+            FROM invoices i
+            JOIN clients c ON i.client_id = c.client_id
+            WHERE i.invoice_number = ?
+        `;
+        return await executeQuery(query, [invoiceNumber]);
+    }
+
+    // Get invoices of a client
+    static async getByClient(clientId) {
+        const query = `
+            SELECT
+                i.invoice_id,
+                i.invoice_number,
+                i.client_id,
+                c.client_code,
+                CONCAT(c.first_name, ' ', c.last_name) AS client_name,
+                i.billing_period,
+                i.invoice_date,
+                i.due_date,
+                i.total_amount,
+                i.paid_amount,
+                (i.total_amount - i.paid_amount) AS pending_amount,
+                i.status,
+                i.description,
+                i.created_at,
+                i.updated_at
+            FROM invoices i
+            JOIN clients c ON i.client_id = c.client_id
+            WHERE i.client_id = ?
+            ORDER BY i.billing_period DESC, i.created_at DESC
+        `;
+        return await executeQuery(query, [clientId]);
+    }
+
+    // Create new invoice (paid amount and status are derived by the status engine)
+    static async create(invoiceData) {
+        const query = `
+            INSERT INTO invoices (
+                invoice_number,
+                client_id,
+                billing_period,
+                invoice_date,
+                due_date,
+                total_amount,
+                description
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `;
+
+        const dates = Invoice.resolveDates(invoiceData);
+        const params = [
+            invoiceData.invoice_number,
+            invoiceData.client_id,
+            invoiceData.billing_period,
+            dates.invoice_date,
+            dates.due_date,
+            invoiceData.total_amount,
+            invoiceData.description || null
+        ];
+
+        const result = await executeQuery(query, params);
+        if (!result.success) {
+            return result;
+        }
+
+        const refreshResult = await Invoice.refreshStatus(result.data.insertId);
+        if (!refreshResult.success) {
+            return refreshResult;
+        }
+        return result;
+    }
+
+    // Update invoice and re-derive its paid amount and status
+    static async update(invoiceId, invoiceData) {
+        const query = `
+            UPDATE invoices SET
+                invoice_number = ?,
+                client_id = ?,
+                billing_period = ?,
+                invoice_date = COALESCE(?, invoice_date),
+                due_date = COALESCE(?, due_date),
+                total_amount = ?,
+                description = ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE invoice_id = ?
+        `;
+
+        const params = [
+            invoiceData.invoice_number,
+            invoiceData.client_id,
+            invoiceData.billing_period,
+            invoiceData.invoice_date || null,
+            invoiceData.due_date || null,
+            invoiceData.total_amount,
+            invoiceData.description || null,
+            invoiceId
+        ];
+
+        return await executeTransaction([
+            { sql: query, params },
+            Invoice.getBalanceRecalculationQuery(invoiceId)
+        ]);
+    }
+
+    // Cancel invoice
+    static async cancel(invoiceId) {
+        const query = `
+            UPDATE invoices SET
+                status = 'CANCELLED',
+                updated_at = CURRENT_TIMESTAMP
+            WHERE invoice_id = ?
+        `;
+        return await executeQuery(query, [invoiceId]);
+    }
+
+    // Resolve issue and due dates, defaulting to the first day of the billing period
+    // and DEFAULT_PAYMENT_TERM_DAYS after the issue date
+    static resolveDates(invoiceData) {
+        const invoiceDate = invoiceData.invoice_date || `${invoiceData.billing_period}-01`;
+        let dueDate = invoiceData.due_date;
+
+        if (!dueDate) {
+            const date = new Date(`${invoiceDate.slice(0, 10)}T00:00:00Z`);
+            date.setUTCDate(date.getUTCDate() + Invoice.DEFAULT_PAYMENT_TERM_DAYS);
+            dueDate = date.toISOString().slice(0, 10);
+        }
+
+        return { invoice_date: invoiceDate, due_date: dueDate };
+    }
+
+    // Status engine: build the query that derives paid_amount and status from completed
+    // transactions and the due date. Refunds subtract from the paid amount, payments and
+    // adjustments add their (signed) amount. Cancelled invoices keep their status.
+    static getBalanceRecalculationQuery(invoiceId) {
+        return Invoice.getBulkBalanceRecalculationQuery([invoiceId]);
+    }
+
+    // Same as getBalanceRecalculationQuery, for several invoices in one statement
+    static getBulkBalanceRecalculationQuery(invoiceIds) {
+        return {
+            sql: `
+                UPDATE invoices SET
+                    paid_amount = (
+                        SELECT COALESCE(SUM(
+                            CASE WHEN t.transaction_type = 'REFUND' THEN -t.amount ELSE t.amount END
+                        ), 0)
+                        FROM transactions t
+                        WHERE t.invoice_id = invoices.invoice_id AND t.status = 'COMPLETED'
+                    ),
+                    status = CASE
+                        WHEN status = 'CANCELLED' THEN status
+                        WHEN paid_amount >= total_amount THEN 'PAID'
+                        WHEN due_date < CURRENT_DATE THEN 'OVERDUE'
+                        WHEN paid_amount > 0 THEN 'PARTIAL'
+                        ELSE 'PENDING'
+                    END,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE invoice_id IN (${invoiceIds.map(() => '?').join(', ')})
+            `,
+            params: invoiceIds
+        };
+    }
+
+    // Re-derive paid amount and status of a single invoice
+    static async refreshStatus(invoiceId) {
+        const { sql, params } = Invoice.getBalanceRecalculationQuery(invoiceId);
+        return await executeQuery(sql, params);
+    }
+
+    // Flip unpaid invoices whose due date has passed to OVERDUE
+    static async markOverdue() {
+        const query = `
+            UPDATE invoices SET
+                status = 'OVERDUE',
+                updated_at = CURRENT_TIMESTAMP
+            WHERE status IN ('PENDING', 'PARTIAL')
+            AND due_date < CURRENT_DATE
+            AND paid_amount < total_amount
+        `;
+        return await executeQuery(query);
+    }
+
+    // Validation rules for invoice data
+    static getValidationRules() {
+        return [
+            body('invoice_number')
+                .notEmpty()
+                .withMessage('Invoice number is required')
+                .isLength({ min: 3, max: 50 })
+                .withMessage('Invoice number must be between 3 and 50 characters')
+                .matches(/^[A-Z0-9-]+$/)
+                .withMessage('Invoice number must contain only uppercase letters, numbers and hyphens'),
+
+            body('client_id')
+                .notEmpty()
+                .withMessage('Client ID is required')
+                .isInt({ min: 1 })
+                .withMessage('Client ID must be a positive integer')
+                .toInt(),
+
+            body('billing_period')
+                .notEmpty()
+                .withMessage('Billing period is required')
+                .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+                .withMessage('Billing period must have the format YYYY-MM'),
+
+            body('invoice_date')
+                .optional({ nullable: true })
+                .isISO8601({ strict: true })
+                .withMessage('Invoice date must be a valid date (YYYY-MM-DD)'),
+
+            body('due_date')
+                .optional({ nullable: true })
+                .isISO8601({ strict: true })
+                .withMessage('Due date must be a valid date (YYYY-MM-DD)')
+                .custom((value, { req }) => !req.body.invoice_date || value >= req.body.invoice_date)
+                .withMessage('Due date cannot be earlier than invoice date'),
+
+            body('total_amount')
+                .notEmpty()
+                .withMessage('Total amount is required')
+                .isFloat({ min: 0 })
+                .withMessage('Total amount must be a non-negative number')
+                .toFloat(),
+
+            body('description')
+                .optional({ nullable: true })
+                .isLength({ max: 1000 })
+                .withMessage('Description must not exceed 1000 characters')
+        ];
+    }
+
+    // Check validation results
+    static checkValidation(req) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return {
+                success: false,
+                errors: errors.array().map(error => ({
+                    field: error.path,
+                    message: error.msg
+                }))
+            };
+        }
+        return { success: true };
+    }
+}
+
+module.exports = Invoice;
@@ -0,0 +1,225 @@
+const { executeQuery } = require('../config/database');
+const { body, validationResult } = require('express-validator');
+const Invoice = require('./Invoice');
+const Transaction = require('./Transaction');
+
+class MappingProfile {
+    // Fields the data loader understands (the headers of data.csv)
+    static SYSTEM_FIELDS = [
+        'client_code',
+        'first_name',
+        'last_name',
+        'email',
+        'phone',
+        'address',
+        'city',
+        'department',
+        'invoice_number',
+        'billing_period',
+        'invoice_date',
+        'due_date',
+        'total_amount',
+        'paid_amount',
+        'invoice_status',
+        'transaction_reference',
+        'transaction_date',
+        'transaction_amount',
+        'transaction_type',
+        'transaction_status',
+        'platform_name'
+    ];
+
+    // Date layouts a profile can declare for the source dates
+    static DATE_FORMATS = ['YYYY-MM-DD', 'YYYY/MM/DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD-MM-YYYY'];
+
+    static DECIMAL_SEPARATORS = ['.', ','];
+
+    // Fields whose source values can be translated with synonyms, and their allowed values
+    static SYNONYM_FIELDS = {
+        invoice_status: Invoice.STATUSES,
+        transaction_type: Transaction.TYPES,
+        transaction_status: Transaction.STATUSES
+    };
+
+    // Get all mapping profiles
+    static async getAll() {
+        const query = `
+            SELECT
+                profile_id,
+                profile_name,
+                description,
+                column_mapping,
+                transforms,
+                default_values,
+                created_at,
+                updated_at
+            FROM import_mapping_profiles
+            ORDER BY profile_name
+        `;
+        return await executeQuery(query);
+    }
+
+    // Get mapping profile by ID
+    static async getById(profileId) {
+        const query = `
+            SELECT
+                profile_id,
+                profile_name,
+                description,
+                column_mapping,
+                transforms,
+                default_values,
+                created_at,
+                updated_at
+            FROM import_mapping_profiles
+            WHERE profile_id = ?
+        `;
+        return await executeQuery(query, [profileId]);
+    }
+
+    // Get mapping profile by name
+    static async getByName(profileName) {
+        const query = `
+            SELECT
+                profile_id,
+                profile_name,
+                description,
+                column_mapping,
+                transforms,
+                default_values,
+                created_at,
+                updated_at
+            FROM import_mapping_profiles
+            WHERE profile_name = ?
+        `;
+        return await executeQuery(query, [profileName]);
+    }
+
+    // Create new mapping profile
+    static async create(profileData) {
+        const query = `
+            INSERT INTO import_mapping_profiles (
+                profile_name,
+                description,
+                column_mapping,
+                transforms,
+                default_values
+            ) VALUES (?, ?, ?, ?, ?)
+        `;
+
+        const params = [
+            profileData.profile_name,
+            profileData.description || null,
+            JSON.stringify(profileData.column_mapping),
+            JSON.stringify(profileData.transforms || {}),
+            JSON.stringify(profileData.default_values || {})
+        ];
+
+        return await executeQuery(query, params);
+    }
+
+    // Update mapping profile
+    static async update(profileId, profileData) {
+        const query = `
+            UPDATE import_mapping_profiles SET
+                profile_name = ?,
+                description = ?,
+                column_mapping = ?,
+                transforms = ?,
+                default_values = ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE profile_id = ?
+        `;
+
+        const params = [
+            profileData.profile_name,
+            profileData.description || null,
+            JSON.stringify(profileData.column_mapping),
+            JSON.stringify(profileData.transforms || {}),
+            JSON.stringify(profileData.default_values || {}),
+            profileId
+        ];
+
+        return await executeQuery(query, params);
+    }
+
+    // Delete mapping profile
+    static async delete(profileId) {
+        const query = 'DELETE FROM import_mapping_profiles WHERE profile_id = ?';
+        return await executeQuery(query, [profileId]);
+    }
+
+    // Validation rules for mapping profile data
+    static getValidationRules() {
+        const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        return [
+            body('profile_name')
+                .trim()
+                .notEmpty()
+                .withMessage('Profile name is required')
+                .isLength({ min: 2, max: 100 })
+                .withMessage('Profile name must be between 2 and 100 characters'),
+
+            body('description')
+                .optional({ nullable: true })
+                .isLength({ max: 500 })
+                .withMessage('Description must not exceed 500 characters'),
+
+            body('column_mapping')
+                .custom(isPlainObject)
+                .withMessage('Column mapping must be an object of system field to source header')
+                .bail()
+                .custom(mapping => Object.keys(mapping).every(field => MappingProfile.SYSTEM_FIELDS.includes(field)))
+                .withMessage(`Column mapping keys must be one of: ${MappingProfile.SYSTEM_FIELDS.join(', ')}`)
+                .custom(mapping => Object.values(mapping).every(header => typeof header === 'string' && header.trim() !== ''))
+                .withMessage('Column mapping values must be non-empty source headers'),
+
+            body('transforms')
+                .optional({ nullable: true })
+                .custom(isPlainObject)
+                .withMessage('Transforms must be an object'),
+
+            body('transforms.date_format')
+                .optional({ nullable: true })
+                .isIn(MappingProfile.DATE_FORMATS)
+                .withMessage(`Date format must be one of: ${MappingProfile.DATE_FORMATS.join(', ')}`),
+
+            body('transforms.decimal_separator')
+                .optional({ nullable: true })
+                .isIn(MappingProfile.DECIMAL_SEPARATORS)
+                .withMessage('Decimal separator must be "." or ","'),
+
+            body('transforms.status_synonyms')
+                .optional({ nullable: true })
+                .custom(synonyms => isPlainObject(synonyms) && Object.keys(synonyms).every(field =>
+                    MappingProfile.SYNONYM_FIELDS[field] &&
+                    isPlainObject(synonyms[field]) &&
+                    Object.values(synonyms[field]).every(value => MappingProfile.SYNONYM_FIELDS[field].includes(value))
+                ))
+                .withMessage(`Status synonyms must map source values of ${Object.keys(MappingProfile.SYNONYM_FIELDS).join(', ')} to their allowed values`),
+
+            body('default_values')
+                .optional({ nullable: true })
+                .custom(defaults => isPlainObject(defaults) && Object.keys(defaults).every(field => MappingProfile.SYSTEM_FIELDS.includes(field)))
+                .withMessage('Default values must be an object of system field to value')
+        ];
+    }
+
+    // Check validation results
+    static checkValidation(req) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return {
+                success: false,
+                errors: errors.array().map(error => ({
+                    field: error.path,
+                    message: error.msg
+                }))
+            };
+        }
+        return { success: true };
+    }
+}
+
+module.exports = MappingProfile;
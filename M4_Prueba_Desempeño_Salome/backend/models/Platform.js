@@ -0,0 +1,139 @@
+const { executeQuery } = require('../config/database');
+const { body, validationResult } = require('express-validator');
+
+class Platform {
+    // Allowed platform types (must match the platforms.platform_type ENUM)
+    static TYPES = ['BANK', 'DIGITAL_WALLET', 'CASH', 'CARD'];
+
+    // Get all platforms (active and inactive)
+    static async getAll() {
+        const query = `
+            SELECT
+                p.platform_id,
+                p.platform_name,
+                p.platform_type,
+                p.is_active,
+                (
+                    SELECT COUNT(*)
+                    FROM transactions t
+                    WHERE t.platform_id = p.platform_id
+                ) AS transaction_count,
+                p.created_at,
+                p.updated_at
+            FROM platforms p
+            ORDER BY p.platform_name
+        `;
+        return await executeQuery(query);
+    }
+
+    // Get platform by ID
+    static async getById(platformId) {
+        const query = `
+            SELECT
+                platform_id,
+                platform_name,
+                platform_type,
+                is_active,
+                created_at,
+                updated_at
+            FROM platforms
+            WHERE platform_id = ?
+        `;
+        return await executeQuery(query, [platformId]);
+    }
+
+    // Get platform by name
+    static async getByName(platformName) {
+        const query = `
+            SELECT
+                platform_id,
+                platform_name,
+                platform_type,
+                is_active,
+                created_at,
+                updated_at
+            FROM platforms
+            WHERE platform_name = ?
+        `;
+        return await executeQuery(query, [platformName]);
+    }
+
+    // Create new platform
+    static async create(platformData) {
+        const query = `
+            INSERT INTO platforms (
+                platform_name,
+                platform_type
+            ) VALUES (?, ?)
+        `;
+        return await executeQuery(query, [platformData.platform_name, platformData.platform_type]);
+    }
+
+    // Update platform name and type
+    static async update(platformId, platformData) {
+        const query = `
+            UPDATE platforms SET
+                platform_name = ?,
+                platform_type = ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE platform_id = ?
+        `;
+        return await executeQuery(query, [platformData.platform_name, platformData.platform_type, platformId]);
+    }
+
+    // Activate or deactivate platform
+    static async setActive(platformId, isActive) {
+        const query = `
+            UPDATE platforms SET
+                is_active = ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE platform_id = ?
+        `;
+        return await executeQuery(query, [isActive, platformId]);
+    }
+
+    // Count transactions still pending on a platform
+    static async countPendingTransactions(platformId) {
+        const query = `
+            SELECT COUNT(*) AS pending_transactions
+            FROM transactions
+            WHERE platform_id = ? AND status = 'PENDING'
+        `;
+        return await executeQuery(query, [platformId]);
+    }
+
+    // Validation rules for platform data
+    static getValidationRules() {
+        return [
+            body('platform_name')
+                .trim()
+                .notEmpty()
+                .withMessage('Platform name is required')
+                .isLength({ min: 2, max: 50 })
+                .withMessage('Platform name must be between 2 and 50 characters'),
+
+            body('platform_type')
+                .notEmpty()
+                .withMessage('Platform type is required')
+                .isIn(Platform.TYPES)
+                .withMessage(`Platform type must be one of: ${Platform.TYPES.join(', ')}`)
+        ];
+    }
+
+    // Check validation results
+    static checkValidation(req) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return {
+                success: false,
+                errors: errors.array().map(error => ({
+                    field: error.path,
+                    message: error.msg
+                }))
+            };
+        }
+        return { success: true };
+    }
+}
+
+module.exports = Platform;
@@ -0,0 +1,334 @@
+const { executeQuery, executeTransaction } = require('../config/database');
+const { body, validationResult } = require('express-validator');
+const Invoice = require('./Invoice');
+
+class Transaction {
+    // Allowed transaction types and statuses (must match the transactions ENUMs)
+    static TYPES = ['PAYMENT', 'REFUND', 'ADJUSTMENT'];
+    static STATUSES = ['PENDING', 'COMPLETED', 'FAILED', 'CANCELLED'];
+
+    // Get all transactions
+    static async getAll() {
+        const query = `
+            SELECT
+                t.transaction_id,
+                t.transaction_reference,
+                t.invoice_id,
+                i.invoice_number,
+                c.client_code,
+                CONCAT(c.first_name, ' ', c.last_name) AS client_name,
+                t.platform_id,
+                p.platform_name,
+                t.transaction_date,
+                t.amount,
+                t.transaction_type,
+                t.status,
+                t.description,
+                t.created_at,
+                t.updated_at
+            FROM transactions t
+            JOIN invoices i ON t.invoice_id = i.invoice_id
+            JOIN clients c ON i.client_id = c.client_id
+            JOIN platforms p ON t.platform_id = p.platform_id
+            ORDER BY t.transaction_date DESC
+        `;
+        return await executeQuery(query);
+    }
+
+    // Get transaction by ID
+    static async getById(transactionId) {
+        const query = `
+            SELECT
+                t.transaction_id,
+                t.transaction_reference,
+                t.invoice_id,
+                i.invoice_number,
+                c.client_code,
+                CONCAT(c.first_name, ' ', c.last_name) AS client_name,
+                t.platform_id,
+                p.platform_name,
+                t.transaction_date,
+                t.amount,
+                t.transaction_type,
+                t.status,
+                t.description,
+                t.created_at,
+                t.updated_at
+            FROM transactions t
+            JOIN invoices i ON t.invoice_id = i.invoice_id
+            JOIN clients c ON i.client_id = c.client_id
+            JOIN platforms p ON t.platform_id = p.platform_id
+            WHERE t.transaction_id = ?
+        `;
+        return await executeQuery(query, [transactionId]);
+    }
+
+    // Get transaction by reference
+    static async getByReference(transactionReference) {
+        const query = `
+            SELECT
+                transaction_id,
+                transaction_reference,
+                invoice_id,
+                platform_id,
+                transaction_date,
+                amount,
+                transaction_type,
+                status
+            FROM transactions
+            WHERE transaction_reference = ?
+        `;
+        return await executeQuery(query, [transactionReference]);
+    }
+
+    // Get transactions of an invoice
+    static async getByInvoice(invoiceId) {
+        const query = `
+            SELECT
+                t.transaction_id,
+                t.transaction_reference,
+                t.invoice_id,
+                i.invoice_number,
+                c.client_code,
+                CONCAT(c.first_name, ' ', c.last_name) AS client_name,
+                t.platform_id,
+                p.platform_name,
+                t.transaction_date,
+                t.amount,
+                t.transaction_type,
+                t.status,
+                t.description,
+                t.created_at,
+                t.updated_at
+            FROM transactions t
+            JOIN invoices i ON t.invoice_id = i.invoice_id
+            JOIN clients c ON i.client_id = c.client_id
+            JOIN platforms p ON t.platform_id = p.platform_id
+            WHERE t.invoice_id = ?
+            ORDER BY t.transaction_date DESC
+        `;
+        return await executeQuery(query, [invoiceId]);
+    }
+
+    // Get transactions of all invoices of a client
+    static async getByClient(clientId) {
+        const query = `
+            SELECT
+                t.transaction_id,
+                t.transaction_reference,
+                t.invoice_id,
+                i.invoice_number,
+                t.platform_id,
+                p.platform_name,
+                p.platform_type,
+                t.transaction_date,
+                t.amount,
+                t.transaction_type,
+                t.status,
+                t.description
+            FROM transactions t
+            JOIN platforms p ON t.platform_id = p.platform_id
+            JOIN invoices i ON t.invoice_id = i.invoice_id
+            WHERE i.client_id = ?
+            ORDER BY t.transaction_date DESC
+        `;
+        return await executeQuery(query, [clientId]);
+    }
+
+    // Get a page of transactions in the data loader layout (one row per transaction with its
+    // invoice, client and platform, dates as text), ordered by ID and starting after afterId.
+    // Only the loader fields are read: invoices and clients without transactions are not included.
+    // Filters: billing_period, client (client code), platform (platform name)
+    static async getForExport(filters = {}, afterId = 0, limit = 1000) {
+        let query = `
+            SELECT
+                t.transaction_id,
+                c.client_code,
+                c.first_name,
+                c.last_name,
+                c.email,
+                c.phone,
+                c.address,
+                c.city,
+                c.department,
+                i.invoice_number,
+                i.billing_period,
+                DATE_FORMAT(i.invoice_date, '%Y-%m-%d') AS invoice_date,
+                DATE_FORMAT(i.due_date, '%Y-%m-%d') AS due_date,
+                i.total_amount,
+                i.paid_amount,
+                i.status AS invoice_status,
+                t.transaction_reference,
+                DATE_FORMAT(t.transaction_date, '%Y-%m-%d %H:%i:%s') AS transaction_date,
+                t.amount AS transaction_amount,
+                t.transaction_type,
+                t.status AS transaction_status,
+                p.platform_name
+            FROM transactions t
+            JOIN invoices i ON t.invoice_id = i.invoice_id
+            JOIN clients c ON i.client_id = c.client_id
+            JOIN platforms p ON t.platform_id = p.platform_id
+            WHERE t.transaction_id > ?
+        `;
+        const params = [afterId];
+
+        if (filters.billing_period) {
+            query += ` AND i.billing_period = ?`;
+            params.push(filters.billing_period);
+        }
+        if (filters.client) {
+            query += ` AND c.client_code = ?`;
+            params.push(filters.client);
+        }
+        if (filters.platform) {
+            query += ` AND p.platform_name = ?`;
+            params.push(filters.platform);
+        }
+
+        // LIMIT is inlined: prepared statements reject numeric LIMIT placeholders on some servers
+        query += ` ORDER BY t.transaction_id LIMIT ${parseInt(limit)}`;
+
+        return await executeQuery(query, params);
+    }
+
+    // Create new transaction and recalculate the invoice balance in the same DB transaction
+    static async create(transactionData) {
+        const query = `
+            INSERT INTO transactions (
+                transaction_reference,
+                invoice_id,
+                platform_id,
+                transaction_date,
+                amount,
+                transaction_type,
+                status,
+                description
+            ) VALUES (?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?, ?, ?, ?)
+        `;
+
+        const params = [
+            transactionData.transaction_reference,
+            transactionData.invoice_id,
+            transactionData.platform_id,
+            transactionData.transaction_date || null,
+            transactionData.amount,
+            transactionData.transaction_type || 'PAYMENT',
+            transactionData.status || 'PENDING',
+            transactionData.description || null
+        ];
+
+        const result = await executeTransaction([
+            { sql: query, params },
+            Invoice.getBalanceRecalculationQuery(transactionData.invoice_id)
+        ]);
+
+        if (!result.success) {
+            return result;
+        }
+        return { success: true, data: result.data[0] };
+    }
+
+    // Update transaction status and recalculate the invoice balance in the same DB transaction
+    static async updateStatus(transactionId, invoiceId, status) {
+        const query = `
+            UPDATE transactions SET
+                status = ?,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE transaction_id = ?
+        `;
+
+        const result = await executeTransaction([
+            { sql: query, params: [status, transactionId] },
+            Invoice.getBalanceRecalculationQuery(invoiceId)
+        ]);
+
+        if (!result.success) {
+            return result;
+        }
+        return { success: true, data: result.data[0] };
+    }
+
+    // Validation rules for transaction data
+    static getValidationRules() {
+        return [
+            body('transaction_reference')
+                .notEmpty()
+                .withMessage('Transaction reference is required')
+                .isLength({ min: 3, max: 100 })
+                .withMessage('Transaction reference must be between 3 and 100 characters')
+                .matches(/^[A-Za-z0-9_-]+$/)
+                .withMessage('Transaction reference must contain only letters, numbers, hyphens and underscores'),
+
+            body('invoice_id')
+                .notEmpty()
+                .withMessage('Invoice ID is required')
+                .isInt({ min: 1 })
+                .withMessage('Invoice ID must be a positive integer')
+                .toInt(),
+
+            body('platform_id')
+                .notEmpty()
+                .withMessage('Platform ID is required')
+                .isInt({ min: 1 })
+                .withMessage('Platform ID must be a positive integer')
+                .toInt(),
+
+            body('transaction_date')
+                .optional({ nullable: true })
+                .isISO8601()
+                .withMessage('Transaction date must be a valid date (YYYY-MM-DD or YYYY-MM-DD HH:MM:SS)'),
+
+            body('transaction_type')
+                .optional()
+                .isIn(Transaction.TYPES)
+                .withMessage(`Transaction type must be one of: ${Transaction.TYPES.join(', ')}`),
+
+            body('amount')
+                .notEmpty()
+                .withMessage('Amount is required')
+                .isFloat()
+                .withMessage('Amount must be a number')
+                .toFloat()
+                .custom((value, { req }) => req.body.transaction_type === 'ADJUSTMENT' ? value !== 0 : value > 0)
+                .withMessage('Amount must be greater than zero (adjustments may be negative but not zero)'),
+
+            body('status')
+                .optional()
+                .isIn(Transaction.STATUSES)
+                .withMessage(`Status must be one of: ${Transaction.STATUSES.join(', ')}`),
+
+            body('description')
+                .optional({ nullable: true })
+                .isLength({ max: 1000 })
+                .withMessage('Description must not exceed 1000 characters')
+        ];
+    }
+
+    // Validation rules for status updates
+    static getStatusValidationRules() {
+        return [
+            body('status')
+                .notEmpty()
+                .withMessage('Status is required')
+                .isIn(Transaction.STATUSES)
+                .withMessage(`Status must be one of: ${Transaction.STATUSES.join(', ')}`)
+        ];
+    }
+
+    // Check validation results
+    static checkValidation(req) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return {
+                success: false,
+                errors: errors.array().map(error => ({
+                    field: error.path,
+                    message: error.msg
+                }))
+            };
+        }
+        return { success: true };
+    }
+}
+
+module.exports = Transaction;
@@ -1,11 +1,37 @@
 const express = require('express');
 const router = express.Router();
 const Client = require('../models/Client');
+const Invoice = require('../models/Invoice');
+const Transaction = require('../models/Transaction');
+const { buildStatement, renderStatementHtml, renderStatementPdf } = require('../services/statements');
 
-// GET /api/clients - Get all clients
-router.get('/', async (req, res) => {
+// GET /api/clients - Get a page of clients (?page=&pageSize=&sort=&order=asc|desc and
+// filters ?is_active=&city=&department=&created_from=&created_to=)
+router.get('/', Client.getListValidationRules(), async (req, res) => {
     try {
-        const result = await Client.getAll();
+        // Check validation
+        const validation = Client.checkValidation(req);
+        if (!validation.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: validation.errors
+            });
+        }
+
+        const filters = {
+            is_active: req.query.is_active,
+            city: req.query.city,
+            department: req.query.department,
+            created_from: req.query.created_from,
+            created_to: req.query.created_to
+        };
+        const page = req.query.page || 1;
+        const pageSize = req.query.pageSize || Client.DEFAULT_PAGE_SIZE;
+        const sort = req.query.sort || 'created_at';
+        const order = req.query.order || 'desc';
+
+        const result = await Client.getAll(filters, { page, pageSize, sort, order });
         
         if (!result.success) {
             return res.status(500).json({
@@ -18,7 +44,15 @@ router.get('/', async (req, res) => {
         res.json({
             success: true,
             data: result.data,
-            count: result.data.length
+            count: result.data.length,
+            pagination: {
+                page: page,
+                page_size: pageSize,
+                total: result.total,
+                total_pages: Math.ceil(result.total / pageSize)
+            },
+            sort: { field: sort, order: order },
+            filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined && value !== ''))
         });
     } catch (error) {
         console.error('Error in GET /api/clients:', error);
@@ -138,6 +172,148 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// GET /api/clients/:id/overview - Client 360: invoices, transactions and balances
+router.get('/:id/overview', async (req, res) => {
+    try {
+        const clientId = parseInt(req.params.id);
+        
+        if (isNaN(clientId) || clientId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid client ID'
+            });
+        }
+
+        const clientResult = await Client.getById(clientId);
+        
+        if (!clientResult.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving client',
+                error: clientResult.error
+            });
+        }
+
+        if (clientResult.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Client not found'
+            });
+        }
+
+        const [invoicesResult, transactionsResult] = await Promise.all([
+            Invoice.getByClient(clientId),
+            Transaction.getByClient(clientId)
+        ]);
+
+        if (!invoicesResult.success || !transactionsResult.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving client overview',
+                error: invoicesResult.error || transactionsResult.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: buildClientOverview(clientResult.data[0], invoicesResult.data, transactionsResult.data)
+        });
+    } catch (error) {
+        console.error('Error in GET /api/clients/:id/overview:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/clients/:id/statement - Account statement for a period (?from=&to=&format=json|html|pdf)
+router.get('/:id/statement', Client.getStatementValidationRules(), async (req, res) => {
+    try {
+        const clientId = parseInt(req.params.id);
+        
+        if (isNaN(clientId) || clientId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid client ID'
+            });
+        }
+
+        // Check validation
+        const validation = Client.checkValidation(req);
+        if (!validation.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: validation.errors
+            });
+        }
+
+        // Default period: first day of the current month until today
+        const today = new Date();
+        const todayString = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+        const to = req.query.to || todayString;
+        const from = req.query.from || `${to.slice(0, 7)}-01`;
+        const format = req.query.format || 'json';
+
+        const clientResult = await Client.getById(clientId);
+        
+        if (!clientResult.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving client',
+                error: clientResult.error
+            });
+        }
+
+        if (clientResult.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Client not found'
+            });
+        }
+
+        const [invoicesResult, transactionsResult] = await Promise.all([
+            Invoice.getByClient(clientId),
+            Transaction.getByClient(clientId)
+        ]);
+
+        if (!invoicesResult.success || !transactionsResult.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving statement data',
+                error: invoicesResult.error || transactionsResult.error
+            });
+        }
+
+        const statement = buildStatement(clientResult.data[0], invoicesResult.data, transactionsResult.data, from, to);
+        const fileName = `statement-${statement.client.client_code}-${from}-${to}`;
+
+        if (format === 'html') {
+            return res.type('html').send(renderStatementHtml(statement));
+        }
+
+        if (format === 'pdf') {
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `inline; filename="${fileName}.pdf"`);
+            return renderStatementPdf(statement, res);
+        }
+
+        res.json({
+            success: true,
+            data: statement
+        });
+    } catch (error) {
+        console.error('Error in GET /api/clients/:id/statement:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
 // POST /api/clients - Create new client
 router.post('/', Client.getValidationRules(), async (req, res) => {
     try {
@@ -353,5 +529,81 @@ router.delete('/:id/hard', async (req, res) => {
     }
 });
 
+// Function to build the client overview from its invoices and transactions
+function buildClientOverview(client, invoices, transactions) {
+    const invoiceStatusCounts = {};
+    Invoice.STATUSES.forEach(status => { invoiceStatusCounts[status] = 0; });
+
+    const transactionStatusCounts = {};
+    Transaction.STATUSES.forEach(status => { transactionStatusCounts[status] = 0; });
+
+    let lifetimePaid = 0;
+    let lastPaymentDate = null;
+    const platforms = {};
+
+    transactions.forEach(transaction => {
+        const amount = parseFloat(transaction.amount);
+        transactionStatusCounts[transaction.status]++;
+
+        // Group by platform
+        if (!platforms[transaction.platform_name]) {
+            platforms[transaction.platform_name] = {
+                platform_id: transaction.platform_id,
+                platform_name: transaction.platform_name,
+                platform_type: transaction.platform_type,
+                total_transactions: 0,
+                completed_amount: 0,
+                transactions: []
+            };
+        }
+        const platform = platforms[transaction.platform_name];
+        platform.total_transactions++;
+        platform.transactions.push(transaction);
+
+        if (transaction.status === 'COMPLETED') {
+            const signedAmount = transaction.transaction_type === 'REFUND' ? -amount : amount;
+            lifetimePaid += signedAmount;
+            platform.completed_amount += signedAmount;
+
+            if (transaction.transaction_type === 'PAYMENT' &&
+                (!lastPaymentDate || new Date(transaction.transaction_date) > new Date(lastPaymentDate))) {
+                lastPaymentDate = transaction.transaction_date;
+            }
+        }
+    });
+
+    let totalInvoiced = 0;
+    let outstandingBalance = 0;
+    const invoicesWithTransactions = invoices.map(invoice => {
+        invoiceStatusCounts[invoice.status]++;
+
+        if (invoice.status !== 'CANCELLED') {
+            totalInvoiced += parseFloat(invoice.total_amount);
+            outstandingBalance += parseFloat(invoice.pending_amount);
+        }
+
+        return {
+            ...invoice,
+            transactions: transactions.filter(t => t.invoice_id === invoice.invoice_id)
+        };
+    });
+
+    return {
+        client: client,
+        invoices: invoicesWithTransactions,
+        transactions_by_platform: Object.values(platforms),
+        summary: {
+            total_invoices: invoices.length,
+            total_transactions: transactions.length,
+            total_invoiced: totalInvoiced,
+            lifetime_paid: lifetimePaid,
+            outstanding_balance: outstandingBalance,
+            last_payment_date: lastPaymentDate,
+            invoices_by_status: invoiceStatusCounts,
+            transactions_by_status: transactionStatusCounts
+        }
+    };
+}
+
 module.exports = router;
 
@@ -3,8 +3,19 @@ const router = express.Router();
 const multer = require('multer');
 const csv = require('csv-parser');
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
-const { executeQuery, executeTransaction } = require('../config/database');
+const { once } = require('events');
+const { executeQuery, executeTransaction, withTransaction } = require('../config/database');
+const Invoice = require('../models/Invoice');
+const ImportBatch = require('../models/ImportBatch');
+const MappingProfile = require('../models/MappingProfile');
+const Transaction = require('../models/Transaction');
+const importJobs = require('../services/importJobs');
+const { applyMappingProfile, sourceColumnOf } = require('../services/columnMapping');
+const { loadSheet, readWorkbookRows } = require('../services/workbook');
+const { validateImportRows } = require('../services/importValidation');
+const { toCsv, toCsvLine } = require('../services/csv');
 
 // Multer configuration for file upload
 const storage = multer.diskStorage({
@@ -17,17 +28,17 @@ const storage = multer.diskStorage({
     },
     filename: function (req, file, cb) {
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, file.fieldname + '-' + uniqueSuffix + '.csv');
+        cb(null, file.fieldname + '-' + uniqueSuffix + (isWorkbook(file) ? '.xlsx' : '.csv'));
     }
 });
 
 const upload = multer({ 
     storage: storage,
     fileFilter: (req, file, cb) => {
-        if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+        if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv') || isWorkbook(file)) {
             cb(null, true);
         } else {
-            cb(new Error('Only CSV files are allowed'), false);
+            cb(new Error('Only CSV and Excel (.xlsx) files are allowed'), false);
         }
     },
     limits: {
@@ -35,69 +46,138 @@ const upload = multer({
     }
 });
 
-// POST /api/data-loader/upload - Upload and process CSV file
+// Excel workbooks are recognized by extension or MIME type
+function isWorkbook(file) {
+    return file.originalname.toLowerCase().endsWith('.xlsx') ||
+        file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+}
+
+// POST /api/data-loader/upload - Upload a CSV file or Excel workbook and import it in a
+// background job (?dryRun=true previews synchronously without writing, ?chunkSize=N commits
+// every N rows in their own transaction instead of the whole file at once, ?profileId=N reads
+// the file through a saved column-mapping profile, ?sheet=Name picks the workbook sheet,
+// ?clientPolicy=, ?invoicePolicy= and ?transactionPolicy= choose what happens to records that
+// already exist: overwrite (default), skip, fill-empty or fail)
 router.post('/upload', upload.single('csvFile'), async (req, res) => {
     try {
+        const dryRun = req.query.dryRun === 'true';
+
         if (!req.file) {
             return res.status(400).json({
                 success: false,
-                message: 'No CSV file uploaded'
+                message: 'No CSV or Excel file uploaded'
             });
         }
 
         const filePath = req.file.path;
-        const results = [];
-        const errors = [];
+        const chunkSize = req.query.chunkSize ? parseInt(req.query.chunkSize) : 0;
+        if (isNaN(chunkSize) || chunkSize < 0) {
+            removeFile(filePath);
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid chunk size'
+            });
+        }
 
-        // Read and parse CSV file
-        fs.createReadStream(filePath)
-            .pipe(csv())
-            .on('data', (data) => {
-                results.push(data);
-            })
-            .on('end', async () => {
-                try {
-                    console.log(`Processing ${results.length} records from uploaded CSV`);
-                    
-                    // Process the data
-                    const processedData = await processCSVData(results);
-                    
-                    // Clean up uploaded file
-                    fs.unlinkSync(filePath);
-                    
-                    res.json({
-                        success: true,
-                        message: 'Data loaded successfully',
-                        data: processedData
-                    });
-                } catch (error) {
-                    // Clean up uploaded file on error
-                    if (fs.existsSync(filePath)) {
-                        fs.unlinkSync(filePath);
-                    }
-                    
-                    console.error('Error processing uploaded CSV:', error);
-                    res.status(500).json({
+        const policies = parseConflictPolicies(req.query);
+        if (!policies) {
+            removeFile(filePath);
+            return res.status(400).json({
+                success: false,
+                message: `Invalid conflict policy, must be one of: ${CONFLICT_POLICIES.join(', ')}`
+            });
+        }
+
+        let profile = null;
+        if (req.query.profileId) {
+            const profileId = parseInt(req.query.profileId);
+            if (isNaN(profileId) || profileId <= 0) {
+                removeFile(filePath);
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid mapping profile ID'
+                });
+            }
+
+            const profileResult = await MappingProfile.getById(profileId);
+            if (!profileResult.success || profileResult.data.length === 0) {
+                removeFile(filePath);
+                return res.status(404).json({
+                    success: false,
+                    message: 'Mapping profile not found'
+                });
+            }
+            profile = profileResult.data[0];
+        }
+
+        // Workbooks are checked up front so a wrong sheet is reported before any job starts
+        let sheet = null;
+        if (isWorkbook(req.file)) {
+            try {
+                sheet = (await loadSheet(filePath, req.query.sheet || null)).name;
+            } catch (error) {
+                removeFile(filePath);
+                if (error.sheetNotFound) {
+                    return res.status(400).json({
                         success: false,
-                        message: 'Error processing CSV file',
-                        error: error.message
+                        message: error.message,
+                        sheets: error.sheets
                     });
                 }
-            })
-            .on('error', (error) => {
-                // Clean up uploaded file on error
-                if (fs.existsSync(filePath)) {
-                    fs.unlinkSync(filePath);
-                }
-                
-                console.error('Error reading CSV file:', error);
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid Excel file',
+                    error: error.message
+                });
+            }
+        }
+
+        if (dryRun) {
+            try {
+                const file = await readUploadFile(filePath, sheet);
+                const results = applyMappingProfile(file.rows, profile);
+                console.log(`Previewing ${results.length} records from uploaded ${sheet ? 'workbook' : 'CSV'}`);
+
+                res.json({
+                    success: true,
+                    message: 'Dry run completed, no changes were written',
+                    dryRun: true,
+                    data: await previewCSVData(results, {
+                        sheet: file.sheet,
+                        firstRow: file.first_row,
+                        policies,
+                        columnOf: field => sourceColumnOf(profile, field)
+                    })
+                });
+            } catch (error) {
+                console.error('Error processing uploaded file:', error);
                 res.status(500).json({
                     success: false,
-                    message: 'Error reading CSV file',
+                    message: 'Error processing uploaded file',
                     error: error.message
                 });
-            });
+            } finally {
+                removeFile(filePath);
+            }
+            return;
+        }
 
+        const uploadedBy = req.body.uploaded_by ? String(req.body.uploaded_by).trim().slice(0, 100) : null;
+        const job = startImportJob(filePath, {
+            source: 'UPLOAD',
+            file_name: req.file.originalname,
+            uploaded_by: uploadedBy || null,
+            mapping_profile_id: profile ? profile.profile_id : null,
+            sheet: sheet,
+            chunk_size: chunkSize || null,
+            conflict_policies: policies
+        }, { chunkSize, profile, sheet, policies, removeFile: true });
+
+        res.status(202).json({
+            success: true,
+            message: 'Import job started',
+            data: job
+        });
     } catch (error) {
         console.error('Error in upload endpoint:', error);
         res.status(500).json({
@@ -108,7 +188,7 @@ router.post('/upload', upload.single('csvFile'), async (req, res) => {
     }
 });
 
-// POST /api/data-loader/load-sample - Load sample data from predefined CSV
+// POST /api/data-loader/load-sample - Load sample data from predefined CSV in a background job
 router.post('/load-sample', async (req, res) => {
     try {
         const csvPath = path.join(__dirname, '../../data.csv');
@@ -120,44 +200,21 @@ router.post('/load-sample', async (req, res) => {
             });
         }
 
-        const results = [];
-
-        // Read and parse CSV file
-        fs.createReadStream(csvPath)
-            .pipe(csv())
-            .on('data', (data) => {
-                results.push(data);
-            })
-            .on('end', async () => {
-                try {
-                    console.log(`Processing ${results.length} records from sample CSV`);
-                    
-                    // Process the data
-                    const processedData = await processCSVData(results);
-                    
-                    res.json({
-                        success: true,
-                        message: 'Sample data loaded successfully',
-                        data: processedData
-                    });
-                } catch (error) {
-                    console.error('Error processing sample CSV:', error);
-                    res.status(500).json({
-                        success: false,
-                        message: 'Error processing sample data',
-                        error: error.message
-                    });
-                }
-            })
-            .on('error', (error) => {
-                console.error('Error reading sample CSV file:', error);
-                res.status(500).json({
-                    success: false,
-                    message: 'Error reading sample CSV file',
-                    error: error.message
-                });
-            });
+        const job = startImportJob(csvPath, {
+            source: 'SAMPLE',
+            file_name: path.basename(csvPath),
+            uploaded_by: null,
+            mapping_profile_id: null,
+            sheet: null,
+            chunk_size: null,
+            conflict_policies: DEFAULT_CONFLICT_POLICIES
+        }, { removeFile: false });
 
+        res.status(202).json({
+            success: true,
+            message: 'Import job started',
+            data: job
+        });
     } catch (error) {
         console.error('Error in load-sample endpoint:', error);
         res.status(500).json({
@@ -168,272 +225,1582 @@ router.post('/load-sample', async (req, res) => {
     }
 });
 
-// Function to validate CSV row data
-function validateRow(data, rowNumber) {
-    const errors = [];
-    
-    // Required fields validation
-    if (!data.client_code || !data.first_name || !data.last_name) {
-        errors.push(`Row ${rowNumber}: Missing required client information`);
-    }
-    
-    if (!data.invoice_number) {
-        errors.push(`Row ${rowNumber}: Missing invoice number`);
-    }
-    
-    if (!data.transaction_reference) {
-        errors.push(`Row ${rowNumber}: Missing transaction reference`);
-    }
-    
-    if (!data.platform_name) {
-        errors.push(`Row ${rowNumber}: Missing platform name`);
-    }
-    
-    // Data type validation
-    if (data.total_amount && isNaN(parseFloat(data.total_amount))) {
-        errors.push(`Row ${rowNumber}: Invalid total amount`);
-    }
-    
-    if (data.paid_amount && isNaN(parseFloat(data.paid_amount))) {
-        errors.push(`Row ${rowNumber}: Invalid paid amount`);
-    }
-    
-    if (data.transaction_amount && isNaN(parseFloat(data.transaction_amount))) {
-        errors.push(`Row ${rowNumber}: Invalid transaction amount`);
-    }
-    
-    return errors;
+// Transactions read per query while streaming an export
+const EXPORT_PAGE_SIZE = 1000;
+
+// Wait until a response can take more data or is closed, removing the listener of the other event
+async function waitForDrain(res) {
+    const waiting = new AbortController();
+    try {
+        await Promise.race([
+            once(res, 'drain', { signal: waiting.signal }),
+            once(res, 'close', { signal: waiting.signal })
+        ]);
+    } finally {
+        waiting.abort();
+    }
 }
 
-// Function to process CSV data and insert into database
-async function processCSVData(data) {
-    const stats = {
-        clients_processed: 0,
-        clients_created: 0,
-        clients_updated: 0,
-        invoices_processed: 0,
-        invoices_created: 0,
-        invoices_updated: 0,
-        transactions_processed: 0,
-        transactions_created: 0,
-        transactions_updated: 0,
-        errors: []
-    };
+// GET /api/data-loader/export - Download every transaction with its invoice, client and platform
+// as CSV in the layout the loader accepts, so it can be uploaded again into another database
+// (?billing_period=YYYY-MM, ?client=CODE and ?platform=Name narrow it down). The layout has one
+// row per transaction and no column for the rest, so invoices without transactions, clients
+// without invoices, is_active, descriptions and platform types are not exported.
+router.get('/export', async (req, res) => {
+    try {
+        const filters = {
+            billing_period: req.query.billing_period,
+            client: req.query.client,
+            platform: req.query.platform
+        };
 
-    for (let i = 0; i < data.length; i++) {
-        const row = data[i];
-        const rowNumber = i + 2; // +2 because CSV has header and we're 0-indexed
-        
-        try {
-            // Validate row data
-            const validationErrors = validateRow(row, rowNumber);
-            if (validationErrors.length > 0) {
-                stats.errors.push(...validationErrors);
-                continue;
-            }
+        if (filters.billing_period && !/^\d{4}-(0[1-9]|1[0-2])$/.test(filters.billing_period)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid billing_period. Expected format: YYYY-MM'
+            });
+        }
+
+        let page = await Transaction.getForExport(filters, 0, EXPORT_PAGE_SIZE);
+
+        if (!page.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error exporting data',
+                error: page.error
+            });
+        }
+
+        const today = new Date().toISOString().slice(0, 10);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="data-export-${today}.csv"`);
+        res.write(toCsvLine(MappingProfile.SYSTEM_FIELDS));
 
-            // Process client
-            const clientResult = await processClient(row);
-            if (clientResult.created) {
-                stats.clients_created++;
-            } else {
-                stats.clients_updated++;
+        // Stream page by page (keyset on transaction_id) instead of loading every row at once.
+        // A client that aborts the download closes the response, which also ends the wait for 'drain'.
+        while (page.data.length > 0) {
+            const lines = page.data.map(row => toCsvLine(MappingProfile.SYSTEM_FIELDS.map(field => row[field]))).join('');
+            if (!res.write(lines) && !res.destroyed) {
+                await waitForDrain(res);
             }
-            stats.clients_processed++;
-
-            // Process invoice
-            const invoiceResult = await processInvoice(row, clientResult.clientId);
-            if (invoiceResult.created) {
-                stats.invoices_created++;
-            } else {
-                stats.invoices_updated++;
+            if (res.destroyed || res.writableEnded) {
+                return;
             }
-            stats.invoices_processed++;
-
-            // Process transaction
-            const transactionResult = await processTransaction(row, invoiceResult.invoiceId);
-            if (transactionResult.created) {
-                stats.transactions_created++;
-            } else {
-                stats.transactions_updated++;
+            if (page.data.length < EXPORT_PAGE_SIZE) {
+                break;
             }
-            stats.transactions_processed++;
 
-        } catch (error) {
-            stats.errors.push(`Row ${rowNumber}: ${error.message}`);
-            console.error(`Error processing row ${rowNumber}:`, error);
+            page = await Transaction.getForExport(filters, page.data[page.data.length - 1].transaction_id, EXPORT_PAGE_SIZE);
+            if (!page.success) {
+                // Headers are already sent: cut the download so it is not mistaken for a complete file
+                console.error('Error in GET /api/data-loader/export:', page.error);
+                return res.destroy();
+            }
+        }
+
+        res.end();
+    } catch (error) {
+        console.error('Error in GET /api/data-loader/export:', error);
+        if (res.headersSent) {
+            return res.destroy();
         }
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
     }
+});
 
-    return stats;
-}
+// GET /api/data-loader/jobs/:id - Get import job status and counts
+router.get('/jobs/:id', (req, res) => {
+    try {
+        const job = importJobs.getJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                message: 'Import job not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: job
+        });
+    } catch (error) {
+        console.error('Error in GET /api/data-loader/jobs/:id:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/data-loader/jobs/:id/events - Stream import job progress, row errors and row warnings (Server-Sent Events)
+router.get('/jobs/:id/events', (req, res) => {
+    const job = importJobs.getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            message: 'Import job not found'
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
 
-// Function to process client data
-async function processClient(clientData) {
+    // Start with the current state, the job may already be done
+    if (importJobs.isFinished(job)) {
+        send('done', job);
+        return res.end();
+    }
+    send('progress', {
+        status: job.status,
+        phase: job.phase,
+        rows_total: job.rows_total,
+        rows_processed: job.rows_processed,
+        errors_count: job.errors_count,
+        warnings_count: job.warnings_count
+    });
+
+    const unsubscribe = importJobs.subscribe(job.job_id, (event) => {
+        send(event.type, event.data);
+        if (event.type === 'done') {
+            unsubscribe();
+            res.end();
+        }
+    });
+
+    req.on('close', unsubscribe);
+});
+
+// GET /api/data-loader/imports - Get the history of imports
+router.get('/imports', async (req, res) => {
     try {
-        // Check if client already exists
-        const existingClient = await executeQuery(
-            'SELECT client_id FROM clients WHERE client_code = ?',
-            [clientData.client_code]
-        );
+        const result = await ImportBatch.getAll();
 
-        if (existingClient.length > 0) {
-            // Update existing client
-            await executeQuery(
-                `UPDATE clients SET 
-                first_name = ?, last_name = ?, email = ?, phone = ?, 
-                address = ?, city = ?, department = ?, updated_at = CURRENT_TIMESTAMP
-                WHERE client_code = ?`,
-                [
-                    clientData.first_name,
-                    clientData.last_name,
-                    clientData.email || null,
-                    clientData.phone || null,
-                    clientData.address || null,
-                    clientData.city || null,
-                    clientData.department || null,
-                    clientData.client_code
-                ]
-            );
-            return { clientId: existingClient[0].client_id, created: false };
-        } else {
-            // Create new client
-            const result = await executeQuery(
-                `INSERT INTO clients 
-                (client_code, first_name, last_name, email, phone, address, city, department)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-                [
-                    clientData.client_code,
-                    clientData.first_name,
-                    clientData.last_name,
-                    clientData.email || null,
-                    clientData.phone || null,
-                    clientData.address || null,
-                    clientData.city || null,
-                    clientData.department || null
-                ]
-            );
-            return { clientId: result.insertId, created: true };
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving imports',
+                error: result.error
+            });
         }
+
+        res.json({
+            success: true,
+            data: result.data,
+            count: result.data.length
+        });
     } catch (error) {
-        throw new Error(`Error processing client: ${error.message}`);
+        console.error('Error in GET /api/data-loader/imports:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
     }
-}
+});
 
-// Function to process invoice data
-async function processInvoice(invoiceData, clientId) {
+// GET /api/data-loader/imports/:id - Get import batch by ID, including its errors
+router.get('/imports/:id', async (req, res) => {
     try {
-        // Check if invoice already exists
-        const existingInvoice = await executeQuery(
-            'SELECT invoice_id FROM invoices WHERE invoice_number = ?',
-            [invoiceData.invoice_number]
-        );
+        const batchId = parseInt(req.params.id);
 
-        if (existingInvoice.length > 0) {
-            // Update existing invoice
-            await executeQuery(
-                `UPDATE invoices SET 
-                billing_period = ?, total_amount = ?, paid_amount = ?, 
-                status = ?, updated_at = CURRENT_TIMESTAMP
-                WHERE invoice_number = ?`,
-                [
-                    invoiceData.billing_period,
-                    parseFloat(invoiceData.total_amount),
-                    parseFloat(invoiceData.paid_amount),
-                    invoiceData.invoice_status,
-                    invoiceData.invoice_number
-                ]
-            );
-            return { invoiceId: existingInvoice[0].invoice_id, created: false };
-        } else {
-            // Create new invoice
-            const result = await executeQuery(
-                `INSERT INTO invoices 
-                (invoice_number, client_id, billing_period, total_amount, paid_amount, status)
-                VALUES (?, ?, ?, ?, ?, ?)`,
-                [
-                    invoiceData.invoice_number,
-                    clientId,
-                    invoiceData.billing_period,
-                    parseFloat(invoiceData.total_amount),
-                    parseFloat(invoiceData.paid_amount),
-                    invoiceData.invoice_status
-                ]
-            );
-            return { invoiceId: result.insertId, created: true };
+        if (isNaN(batchId) || batchId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid import ID'
+            });
+        }
+
+        const result = await ImportBatch.getById(batchId);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving import',
+                error: result.error
+            });
+        }
+
+        if (result.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Import not found'
+            });
         }
+
+        res.json({
+            success: true,
+            data: result.data[0]
+        });
     } catch (error) {
-        throw new Error(`Error processing invoice: ${error.message}`);
+        console.error('Error in GET /api/data-loader/imports/:id:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
     }
-}
+});
 
-// Function to process transaction data
-async function processTransaction(transactionData, invoiceId) {
+// GET /api/data-loader/imports/:id/failed-rows - Download the rows an import could not load
+// as CSV (original columns plus an error column), ready to be fixed and uploaded again
+router.get('/imports/:id/failed-rows', async (req, res) => {
     try {
-        // Get or create platform
-        let platformId;
-        const existingPlatform = await executeQuery(
-            'SELECT platform_id FROM platforms WHERE platform_name = ?',
-            [transactionData.platform_name]
-        );
+        const batchId = parseInt(req.params.id);
 
-        if (existingPlatform.length > 0) {
-            platformId = existingPlatform[0].platform_id;
-        } else {
-            // Create new platform
-            const platformResult = await executeQuery(
-                'INSERT INTO platforms (platform_name, platform_type) VALUES (?, ?)',
-                [transactionData.platform_name, 'DIGITAL_WALLET']
-            );
-            platformId = platformResult.insertId;
-        }
-
-        // Check if transaction already exists
-        const existingTransaction = await executeQuery(
-            'SELECT transaction_id FROM transactions WHERE transaction_reference = ?',
-            [transactionData.transaction_reference]
-        );
+        if (isNaN(batchId) || batchId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid import ID'
+            });
+        }
 
-        if (existingTransaction.length > 0) {
-            // Update existing transaction
-            await executeQuery(
-                `UPDATE transactions SET 
-                invoice_id = ?, platform_id = ?, transaction_date = ?, amount = ?,
-                transaction_type = ?, status = ?, updated_at = CURRENT_TIMESTAMP
-                WHERE transaction_reference = ?`,
-                [
-                    invoiceId,
-                    platformId,
-                    transactionData.transaction_date,
-                    parseFloat(transactionData.transaction_amount),
-                    transactionData.transaction_type,
-                    transactionData.transaction_status,
-                    transactionData.transaction_reference
-                ]
-            );
-            return { transactionId: existingTransaction[0].transaction_id, created: false };
-        } else {
-            // Create new transaction
-            const result = await executeQuery(
-                `INSERT INTO transactions 
-                (transaction_reference, invoice_id, platform_id, transaction_date, 
-                amount, transaction_type, status)
-                VALUES (?, ?, ?, ?, ?, ?, ?)`,
-                [
-                    transactionData.transaction_reference,
-                    invoiceId,
-                    platformId,
-                    transactionData.transaction_date,
-                    parseFloat(transactionData.transaction_amount),
-                    transactionData.transaction_type,
-                    transactionData.transaction_status
-                ]
-            );
-            return { transactionId: result.insertId, created: true };
+        const result = await ImportBatch.getFailedRows(batchId);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving failed rows',
+                error: result.error
+            });
+        }
+
+        if (result.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Import not found'
+            });
+        }
+
+        const failedRows = ImportBatch.parseJson(result.data[0].failed_rows) || { columns: [], rows: [] };
+        const columns = [...failedRows.columns.filter(column => column !== 'error'), 'error'];
+        const csvRows = failedRows.rows.map(failedRow => ({ ...failedRow.values, error: failedRow.error }));
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="import-${batchId}-failed-rows.csv"`);
+        res.send(toCsv(columns, csvRows));
+    } catch (error) {
+        console.error('Error in GET /api/data-loader/imports/:id/failed-rows:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/data-loader/imports/:id/rollback - Revert everything an import created or updated
+router.post('/imports/:id/rollback', async (req, res) => {
+    try {
+        const batchId = parseInt(req.params.id);
+
+        if (isNaN(batchId) || batchId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid import ID'
+            });
+        }
+
+        const result = await ImportBatch.revert(batchId);
+
+        if (!result.success) {
+            if (result.conflict) {
+                return res.status(result.notFound ? 404 : 409).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+            return res.status(500).json({
+                success: false,
+                message: 'Error reverting import',
+                error: result.error
+            });
+        }
+
+        const revertedBatch = await ImportBatch.getById(batchId);
+
+        res.json({
+            success: true,
+            message: 'Import reverted successfully',
+            data: {
+                ...revertedBatch.data[0],
+                reverted: result.data
+            }
+        });
+    } catch (error) {
+        console.error('Error in POST /api/data-loader/imports/:id/rollback:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/data-loader/mapping-profiles - Get all column-mapping profiles
+router.get('/mapping-profiles', async (req, res) => {
+    try {
+        const result = await MappingProfile.getAll();
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving mapping profiles',
+                error: result.error
+            });
         }
+
+        res.json({
+            success: true,
+            data: result.data,
+            count: result.data.length
+        });
     } catch (error) {
-        throw new Error(`Error processing transaction: ${error.message}`);
+        console.error('Error in GET /api/data-loader/mapping-profiles:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/data-loader/mapping-profiles/:id - Get column-mapping profile by ID
+router.get('/mapping-profiles/:id', async (req, res) => {
+    try {
+        const profileId = parseInt(req.params.id);
+
+        if (isNaN(profileId) || profileId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid mapping profile ID'
+            });
+        }
+
+        const result = await MappingProfile.getById(profileId);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving mapping profile',
+                error: result.error
+            });
+        }
+
+        if (result.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Mapping profile not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.data[0]
+        });
+    } catch (error) {
+        console.error('Error in GET /api/data-loader/mapping-profiles/:id:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/data-loader/mapping-profiles - Create column-mapping profile
+router.post('/mapping-profiles', MappingProfile.getValidationRules(), async (req, res) => {
+    try {
+        // Check validation
+        const validation = MappingProfile.checkValidation(req);
+        if (!validation.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: validation.errors
+            });
+        }
+
+        // Check if profile name already exists
+        const existingProfile = await MappingProfile.getByName(req.body.profile_name);
+        if (existingProfile.success && existingProfile.data.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Mapping profile name already exists'
+            });
+        }
+
+        // Create profile
+        const result = await MappingProfile.create(req.body);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error creating mapping profile',
+                error: result.error
+            });
+        }
+
+        // Get the created profile
+        const createdProfile = await MappingProfile.getById(result.data.insertId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Mapping profile created successfully',
+            data: createdProfile.data[0]
+        });
+    } catch (error) {
+        console.error('Error in POST /api/data-loader/mapping-profiles:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// PUT /api/data-loader/mapping-profiles/:id - Update column-mapping profile
+router.put('/mapping-profiles/:id', MappingProfile.getValidationRules(), async (req, res) => {
+    try {
+        const profileId = parseInt(req.params.id);
+
+        if (isNaN(profileId) || profileId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid mapping profile ID'
+            });
+        }
+
+        // Check validation
+        const validation = MappingProfile.checkValidation(req);
+        if (!validation.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: validation.errors
+            });
+        }
+
+        // Check if profile exists
+        const existingProfile = await MappingProfile.getById(profileId);
+        if (!existingProfile.success || existingProfile.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Mapping profile not found'
+            });
+        }
+
+        // Check if new profile name already exists (excluding current profile)
+        const profileWithName = await MappingProfile.getByName(req.body.profile_name);
+        if (profileWithName.success && profileWithName.data.length > 0) {
+            if (profileWithName.data[0].profile_id !== profileId) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Mapping profile name already exists'
+                });
+            }
+        }
+
+        // Update profile
+        const result = await MappingProfile.update(profileId, req.body);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error updating mapping profile',
+                error: result.error
+            });
+        }
+
+        // Get the updated profile
+        const updatedProfile = await MappingProfile.getById(profileId);
+
+        res.json({
+            success: true,
+            message: 'Mapping profile updated successfully',
+            data: updatedProfile.data[0]
+        });
+    } catch (error) {
+        console.error('Error in PUT /api/data-loader/mapping-profiles/:id:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// DELETE /api/data-loader/mapping-profiles/:id - Delete column-mapping profile
+router.delete('/mapping-profiles/:id', async (req, res) => {
+    try {
+        const profileId = parseInt(req.params.id);
+
+        if (isNaN(profileId) || profileId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid mapping profile ID'
+            });
+        }
+
+        // Check if profile exists
+        const existingProfile = await MappingProfile.getById(profileId);
+        if (!existingProfile.success || existingProfile.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Mapping profile not found'
+            });
+        }
+
+        const result = await MappingProfile.delete(profileId);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error deleting mapping profile',
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Mapping profile deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error in DELETE /api/data-loader/mapping-profiles/:id:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Import a CSV file (or a sheet of a workbook when options.sheet is set) in a background
+// job, recorded as an import batch, and return the job
+function startImportJob(filePath, details, options = {}) {
+    const job = importJobs.createJob(details);
+
+    importJobs.runJob(job, async (reporter) => {
+        let batchId = null;
+        try {
+            const checksum = await computeChecksum(filePath);
+            const file = await readUploadFile(filePath, options.sheet);
+            const results = applyMappingProfile(file.rows, options.profile);
+            console.log(`Processing ${results.length} records from ${details.file_name}`);
+            reporter.setTotal(results.length);
+
+            const batchResult = await ImportBatch.create({
+                file_name: details.file_name,
+                file_checksum: checksum,
+                uploaded_by: details.uploaded_by,
+                mapping_profile_id: details.mapping_profile_id,
+                conflict_policies: details.conflict_policies,
+                source: details.source,
+                rows_total: results.length
+            });
+            if (!batchResult.success) {
+                throw new Error(`Error creating import batch: ${batchResult.error}`);
+            }
+            batchId = batchResult.data.insertId;
+            reporter.progress({ batch_id: batchId });
+
+            const stats = await processCSVData(results, {
+                chunkSize: options.chunkSize,
+                sheet: file.sheet,
+                firstRow: file.first_row,
+                policies: options.policies,
+                columnOf: field => sourceColumnOf(options.profile, field),
+                batchId: batchId,
+                onProgress: reporter.progress,
+                onError: reporter.error,
+                onWarning: reporter.warning
+            });
+
+            const failedRows = collectFailedRows(file, stats);
+            stats.rows_failed = failedRows.rows.length;
+
+            const status = getImportStatus(stats);
+            await ImportBatch.finish(batchId, status, stats, failedRows);
+
+            return {
+                status: status,
+                message: describeImport(stats),
+                stats: stats
+            };
+        } catch (error) {
+            if (batchId) {
+                await ImportBatch.finish(batchId, 'FAILED', null);
+            }
+            throw error;
+        } finally {
+            if (options.removeFile) {
+                removeFile(filePath);
+            }
+        }
+    });
+
+    return job;
+}
+
+// SHA-256 checksum of a file
+function computeChecksum(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+
+        fs.createReadStream(filePath)
+            .on('data', (data) => hash.update(data))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+// Read and parse a CSV file into an array of rows
+function readCsvFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const results = [];
+
+        fs.createReadStream(filePath)
+            .pipe(csv())
+            .on('data', (data) => {
+                results.push(data);
+            })
+            .on('end', () => resolve(results))
+            .on('error', reject);
+    });
+}
+
+// Read the rows of an uploaded file: a sheet of a workbook when a sheet is given, else CSV.
+// first_row is the file row of the first data row (after the header). Blank rows at the end
+// of the file (trailing line breaks, formatted but empty sheet rows) are dropped.
+async function readUploadFile(filePath, sheet = null) {
+    const file = sheet
+        ? await readWorkbookRows(filePath, sheet)
+        : { sheet: null, first_row: 2, rows: await readCsvFile(filePath) };
+
+    const isBlank = row => Object.values(row).every(value => value === null || String(value).trim() === '');
+    while (file.rows.length > 0 && isBlank(file.rows[file.rows.length - 1])) {
+        file.rows.pop();
+    }
+    return file;
+}
+
+// Structured import error or warning: where it is (sheet, row and source column), the
+// offending value, the rule it breaks, its severity and a readable message
+function toImportError(issue, sheet, columnOf) {
+    return {
+        row: issue.row,
+        sheet: sheet,
+        column: issue.field ? columnOf(issue.field) : null,
+        value: issue.value === undefined ? null : issue.value,
+        rule: issue.rule,
+        severity: issue.severity,
+        message: issue.message
+    };
+}
+
+// Original rows of the file that were not imported (every row of a rolled back file or
+// chunk) with the errors found in each, ready to be fixed and uploaded again
+function collectFailedRows(file, stats) {
+    const columns = file.rows.length > 0 ? Object.keys(file.rows[0]) : [];
+    const errorsByRow = new Map();
+    stats.errors.forEach(error => {
+        const messages = errorsByRow.get(error.row) || [];
+        messages.push(error.column ? `${error.column}: ${error.message}` : error.message);
+        errorsByRow.set(error.row, messages);
+    });
+
+    const rows = [];
+    stats.rollbacks.forEach(rollback => {
+        const reason = rollback.failed_row
+            ? `Not imported: rows ${rollback.first_row}-${rollback.last_row} were rolled back because of row ${rollback.failed_row}`
+            : `Not imported: ${rollback.error}`;
+        for (let rowNumber = rollback.first_row; rowNumber <= rollback.last_row; rowNumber++) {
+            const messages = errorsByRow.get(rowNumber);
+            rows.push({
+                row: rowNumber,
+                values: file.rows[rowNumber - file.first_row],
+                error: messages ? messages.join('; ') : reason
+            });
+        }
+    });
+
+    return { columns, rows };
+}
+
+// Delete an uploaded file if it still exists
+function removeFile(filePath) {
+    if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+    }
+}
+
+// Final job status of an import: everything committed, nothing committed or only some chunks
+function getImportStatus(stats) {
+    if (stats.chunks_rolled_back === 0) {
+        return 'COMPLETED';
+    }
+    return stats.chunks_committed === 0 ? 'ROLLED_BACK' : 'PARTIAL';
+}
+
+// Summary message of an import
+function describeImport(stats) {
+    if (stats.chunks_rolled_back === 0) {
+        return 'Data loaded successfully';
+    }
+
+    if (stats.chunks_committed === 0) {
+        const failedRow = stats.rollbacks[0].failed_row;
+        return failedRow
+            ? `Import rolled back at row ${failedRow}, no changes were written`
+            : 'Import rolled back, no changes were written';
+    }
+
+    return `${stats.chunks_rolled_back} of ${stats.chunks_rolled_back + stats.chunks_committed} chunk(s) rolled back`;
+}
+
+// Rows written per multi-row INSERT ... ON DUPLICATE KEY UPDATE statement
+const UPSERT_BATCH_SIZE = 500;
+
+// Multi-row upserts of each entity; the unique key column is never updated and every
+// written row is tagged with the import batch that last changed it. fillFields maps the row
+// fields to the columns the 'fill-empty' conflict policy may fill.
+const CLIENT_UPSERT = {
+    label: 'client',
+    table: 'clients',
+    columns: ['client_code', 'first_name', 'last_name', 'email', 'phone', 'address', 'city', 'department', 'import_batch_id'],
+    updateColumns: ['first_name', 'last_name', 'email', 'phone', 'address', 'city', 'department', 'import_batch_id'],
+    fillFields: {
+        first_name: 'first_name',
+        last_name: 'last_name',
+        email: 'email',
+        phone: 'phone',
+        address: 'address',
+        city: 'city',
+        department: 'department'
+    }
+};
+
+// Existing invoices keep their client, as before the bulk redesign
+const INVOICE_UPSERT = {
+    label: 'invoice',
+    table: 'invoices',
+    columns: ['invoice_number', 'client_id', 'billing_period', 'invoice_date', 'due_date', 'total_amount', 'import_batch_id'],
+    updateColumns: ['billing_period', 'invoice_date', 'due_date', 'total_amount', 'import_batch_id'],
+    fillFields: {
+        billing_period: 'billing_period',
+        invoice_date: 'invoice_date',
+        due_date: 'due_date',
+        total_amount: 'total_amount'
+    }
+};
+
+// Under 'fill-empty' an existing transaction keeps its invoice and platform (never empty)
+const TRANSACTION_UPSERT = {
+    label: 'transaction',
+    table: 'transactions',
+    columns: ['transaction_reference', 'invoice_id', 'platform_id', 'transaction_date', 'amount', 'transaction_type', 'status', 'import_batch_id'],
+    updateColumns: ['invoice_id', 'platform_id', 'transaction_date', 'amount', 'transaction_type', 'status', 'import_batch_id'],
+    fillFields: {
+        transaction_date: 'transaction_date',
+        transaction_amount: 'amount',
+        transaction_type: 'transaction_type',
+        transaction_status: 'status'
+    }
+};
+
+// What to do with a client, invoice or transaction that already existed before the import:
+// overwrite it, leave it as it is, only fill its empty fields, or fail the file (or chunk)
+const CONFLICT_POLICIES = ['overwrite', 'skip', 'fill-empty', 'fail'];
+
+const DEFAULT_CONFLICT_POLICIES = {
+    clients: 'overwrite',
+    invoices: 'overwrite',
+    transactions: 'overwrite'
+};
+
+// Read the conflict policy of each entity from the upload query
+// (?clientPolicy=, ?invoicePolicy=, ?transactionPolicy=); null when one is not valid
+function parseConflictPolicies(query) {
+    const policies = {
+        clients: query.clientPolicy || DEFAULT_CONFLICT_POLICIES.clients,
+        invoices: query.invoicePolicy || DEFAULT_CONFLICT_POLICIES.invoices,
+        transactions: query.transactionPolicy || DEFAULT_CONFLICT_POLICIES.transactions
+    };
+    return Object.values(policies).every(policy => CONFLICT_POLICIES.includes(policy)) ? policies : null;
+}
+
+// Counters of a processed file or chunk
+function createImportCounters() {
+    return {
+        clients_processed: 0,
+        clients_created: 0,
+        clients_updated: 0,
+        clients_skipped: 0,
+        invoices_processed: 0,
+        invoices_created: 0,
+        invoices_updated: 0,
+        invoices_skipped: 0,
+        transactions_processed: 0,
+        transactions_created: 0,
+        transactions_updated: 0,
+        transactions_skipped: 0
+    };
+}
+
+// Function to process CSV data and insert into database. Imports are all-or-nothing:
+// the whole file (or every chunk of options.chunkSize rows) runs in one transaction and
+// a failing row rolls back everything written by its file or chunk. Written rows are tagged
+// with options.batchId and rows that already existed follow options.policies (see
+// CONFLICT_POLICIES); options.onProgress, options.onError and options.onWarning receive
+// progress updates, row errors and row warnings as they happen. Rows are numbered from
+// options.firstRow (2 for a CSV with a header line); errors and warnings are structured
+// (see toImportError) with their options.sheet and the source column given by options.columnOf.
+async function processCSVData(data, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const onError = options.onError || (() => {});
+    const onWarning = options.onWarning || (() => {});
+    const chunkSize = options.chunkSize > 0 ? options.chunkSize : Math.max(data.length, 1);
+    const dataFirstRow = options.firstRow || 2;
+    const sheet = options.sheet || null;
+    const columnOf = options.columnOf || (field => field);
+    const policies = options.policies || DEFAULT_CONFLICT_POLICIES;
+    const stats = {
+        ...createImportCounters(),
+        sheet: sheet,
+        conflict_policies: policies,
+        chunk_size: chunkSize,
+        chunks_committed: 0,
+        chunks_rolled_back: 0,
+        rollbacks: [],
+        errors: [],
+        warnings: []
+    };
+
+    // Platforms are resolved once for the whole file, and the whole file is validated up
+    // front so that rules across rows see rows of every chunk
+    const platforms = await loadPlatforms();
+    const rowIssues = validateImportRows(data, { firstRow: dataFirstRow, platforms });
+
+    for (let start = 0; start < data.length; start += chunkSize) {
+        const chunk = data.slice(start, start + chunkSize);
+        const firstRow = dataFirstRow + start;
+        const lastRow = firstRow + chunk.length - 1;
+        onProgress({ phase: 'validating', rows_processed: start });
+
+        // Any validation error rejects the chunk before opening a transaction; warnings are
+        // only reported
+        const chunkIssues = rowIssues.slice(start, start + chunk.length).flat()
+            .map(issue => toImportError(issue, sheet, columnOf));
+        const errors = chunkIssues.filter(issue => issue.severity === 'ERROR');
+        const warnings = chunkIssues.filter(issue => issue.severity === 'WARNING');
+        stats.warnings.push(...warnings);
+        warnings.forEach(onWarning);
+        let failedRow = null;
+
+        if (errors.length > 0) {
+            failedRow = errors[0].row;
+            stats.chunks_rolled_back++;
+            stats.rollbacks.push({
+                first_row: firstRow,
+                last_row: lastRow,
+                failed_row: failedRow,
+                error: 'Validation failed'
+            });
+            stats.errors.push(...errors);
+            errors.forEach(onError);
+            onProgress({ phase: 'rolled back', rows_processed: start + chunk.length });
+            continue;
+        }
+
+        try {
+            const chunkStats = await withTransaction(connection => importChunk(chunk, firstRow, {
+                platforms,
+                policies,
+                batchId: options.batchId || null,
+                onPhase: phase => onProgress({ phase, rows_processed: start })
+            }, connection));
+
+            Object.keys(chunkStats).forEach(key => { stats[key] += chunkStats[key]; });
+            stats.chunks_committed++;
+            onProgress({ phase: 'committed', rows_processed: start + chunk.length });
+        } catch (error) {
+            // Bulk statements report the row that caused the failure when it can be identified
+            failedRow = error.rowNumber || null;
+            stats.chunks_rolled_back++;
+            stats.rollbacks.push({
+                first_row: firstRow,
+                last_row: lastRow,
+                failed_row: failedRow,
+                error: error.message
+            });
+            const importError = toImportError({
+                row: failedRow,
+                field: error.field || null,
+                value: failedRow && error.field ? chunk[failedRow - firstRow][error.field] : null,
+                rule: error.rule || 'database',
+                severity: 'ERROR',
+                message: `${error.message} (rows ${firstRow}-${lastRow} rolled back)`
+            }, sheet, columnOf);
+            stats.errors.push(importError);
+            onError(importError);
+            onProgress({ phase: 'rolled back', rows_processed: start + chunk.length });
+            console.error(`Error importing rows ${firstRow}-${lastRow}, rolled back:`, error);
+        }
+    }
+
+    return stats;
+}
+
+// Load every platform once, keyed by name
+async function loadPlatforms() {
+    const platforms = await runQuery('SELECT platform_id, platform_name, is_active FROM platforms');
+    return new Map(platforms.map(platform => [platform.platform_name, platform]));
+}
+
+// Write the clients, invoices and transactions of a validated chunk with multi-row upserts
+// on the given connection, counting every row as created or updated like a row-by-row import
+async function importChunk(rows, firstRow, context, connection) {
+    const { platforms, policies, batchId, onPhase } = context;
+    const stats = createImportCounters();
+    const records = rows.map((row, index) => ({ row, rowNumber: firstRow + index }));
+
+    // Clients
+    onPhase('clients');
+    const existingClients = await fetchByKeys(
+        `SELECT client_id, client_code, first_name, last_name, email, phone, address, city, department, import_batch_id
+        FROM clients WHERE client_code IN`,
+        rows.map(row => row.client_code),
+        'client_code',
+        connection
+    );
+    const clientWrites = resolveConflicts(records, record => record.row.client_code, existingClients, policies.clients, batchId, CLIENT_UPSERT);
+    countRowActions(records, record => record.row.client_code, existingClients, stats, 'clients', clientWrites.skippedKeys);
+    await checkEmailOwnership(clientWrites.records, connection);
+    await upsertInBatches(connection, CLIENT_UPSERT, clientWrites.records, record => [
+        record.row.client_code,
+        record.row.first_name,
+        record.row.last_name,
+        record.row.email || null,
+        record.row.phone || null,
+        record.row.address || null,
+        record.row.city || null,
+        record.row.department || null,
+        batchId
+    ]);
+    const clients = await fetchByKeys(
+        'SELECT client_id, client_code FROM clients WHERE client_code IN',
+        rows.map(row => row.client_code),
+        'client_code',
+        connection
+    );
+    await recordBatchChanges(connection, batchId, 'CLIENT', existingClients, clients, clientWrites.skippedKeys);
+
+    // Invoices: a new invoice belongs to the client of its first row, its other fields come from its last row
+    onPhase('invoices');
+    const existingInvoices = await fetchByKeys(
+        `SELECT invoice_id, invoice_number, billing_period, DATE_FORMAT(invoice_date, '%Y-%m-%d') AS invoice_date,
+        DATE_FORMAT(due_date, '%Y-%m-%d') AS due_date, total_amount, import_batch_id
+        FROM invoices WHERE invoice_number IN`,
+        rows.map(row => row.invoice_number),
+        'invoice_number',
+        connection
+    );
+    const invoiceWrites = resolveConflicts(records, record => record.row.invoice_number, existingInvoices, policies.invoices, batchId, INVOICE_UPSERT);
+    countRowActions(records, record => record.row.invoice_number, existingInvoices, stats, 'invoices', invoiceWrites.skippedKeys);
+    const invoiceClients = new Map();
+    records.forEach(record => {
+        if (!invoiceClients.has(record.row.invoice_number)) {
+            invoiceClients.set(record.row.invoice_number, record.row.client_code);
+        }
+    });
+    const invoiceRecords = invoiceWrites.records.map(record => ({
+        ...record,
+        clientCode: invoiceClients.get(record.row.invoice_number)
+    }));
+    await upsertInBatches(connection, INVOICE_UPSERT, invoiceRecords, record => {
+        const dates = Invoice.resolveDates(record.row);
+        return [
+            record.row.invoice_number,
+            clients.get(record.clientCode).client_id,
+            record.row.billing_period,
+            dates.invoice_date,
+            dates.due_date,
+            parseFloat(record.row.total_amount),
+            batchId
+        ];
+    });
+    const invoices = await fetchByKeys(
+        'SELECT invoice_id, invoice_number FROM invoices WHERE invoice_number IN',
+        rows.map(row => row.invoice_number),
+        'invoice_number',
+        connection
+    );
+    await recordBatchChanges(connection, batchId, 'INVOICE', existingInvoices, invoices, invoiceWrites.skippedKeys);
+
+    // Transactions
+    onPhase('transactions');
+    const existingTransactions = await fetchByKeys(
+        `SELECT transaction_id, transaction_reference, invoice_id, platform_id,
+        DATE_FORMAT(transaction_date, '%Y-%m-%d %H:%i:%s') AS transaction_date, amount, transaction_type, status, import_batch_id
+        FROM transactions WHERE transaction_reference IN`,
+        rows.map(row => row.transaction_reference),
+        'transaction_reference',
+        connection
+    );
+    const transactionWrites = resolveConflicts(records, record => record.row.transaction_reference, existingTransactions, policies.transactions, batchId, TRANSACTION_UPSERT);
+    countRowActions(records, record => record.row.transaction_reference, existingTransactions, stats, 'transactions', transactionWrites.skippedKeys);
+    await upsertInBatches(connection, TRANSACTION_UPSERT, transactionWrites.records, record => [
+        record.row.transaction_reference,
+        record.stored ? record.stored.invoice_id : invoices.get(record.row.invoice_number).invoice_id,
+        record.stored ? record.stored.platform_id : platforms.get(record.row.platform_name).platform_id,
+        record.row.transaction_date,
+        parseFloat(record.row.transaction_amount),
+        record.row.transaction_type,
+        record.row.transaction_status,
+        batchId
+    ]);
+    const transactions = await fetchByKeys(
+        'SELECT transaction_id, transaction_reference FROM transactions WHERE transaction_reference IN',
+        rows.map(row => row.transaction_reference),
+        'transaction_reference',
+        connection
+    );
+    await recordBatchChanges(connection, batchId, 'TRANSACTION', existingTransactions, transactions, transactionWrites.skippedKeys);
+
+    // Derive paid amount and status of every touched invoice from its transactions, including
+    // the invoices kept by filled transactions
+    onPhase('balances');
+    const invoiceIds = [...new Set([
+        ...[...invoices.values()].map(invoice => invoice.invoice_id),
+        ...transactionWrites.records.filter(record => record.stored).map(record => record.stored.invoice_id)
+    ])];
+    for (let i = 0; i < invoiceIds.length; i += UPSERT_BATCH_SIZE) {
+        const { sql, params } = Invoice.getBulkBalanceRecalculationQuery(invoiceIds.slice(i, i + UPSERT_BATCH_SIZE));
+        await runQuery(sql, params, connection);
+    }
+
+    return stats;
+}
+
+// Record how the batch found every row it wrote: created, or updated from which values.
+// Rows already tagged with this batch were recorded by one of its earlier chunks (only the
+// values written are brought up to date), and skipped rows were not written at all.
+async function recordBatchChanges(connection, batchId, entityType, existing, current, skippedKeys = new Set()) {
+    if (!batchId) {
+        return;
+    }
+
+    const { idColumn, columns } = ImportBatch.RESTORED_COLUMNS[entityType];
+    const writtenIds = [...current.keys()]
+        .filter(key => !skippedKeys.has(key))
+        .map(key => current.get(key)[idColumn]);
+
+    // The restored columns as the batch left them, to tell later edits apart when reverting it
+    const writtenValues = new Map();
+    for (let i = 0; i < writtenIds.length; i += UPSERT_BATCH_SIZE) {
+        const { sql, params } = ImportBatch.getRestoredValuesQuery(entityType, writtenIds.slice(i, i + UPSERT_BATCH_SIZE));
+        const rows = await runQuery(sql, params, connection);
+        rows.forEach(row => {
+            const values = {};
+            columns.forEach(column => { values[column] = row[column]; });
+            writtenValues.set(row[idColumn], values);
+        });
+    }
+
+    const changes = [];
+    const rewritten = [];
+
+    current.forEach((row, key) => {
+        const before = existing.get(key);
+        if (skippedKeys.has(key)) {
+            return;
+        }
+        if (!before) {
+            changes.push({ entity_type: entityType, entity_id: row[idColumn], action: 'CREATED', written_values: writtenValues.get(row[idColumn]) });
+        } else if (before.import_batch_id !== batchId) {
+            const previousValues = {};
+            columns.forEach(column => { previousValues[column] = before[column]; });
+            changes.push({ entity_type: entityType, entity_id: before[idColumn], action: 'UPDATED', previous_values: previousValues, written_values: writtenValues.get(before[idColumn]) });
+        } else {
+            rewritten.push(before[idColumn]);
+        }
+    });
+
+    for (let i = 0; i < changes.length; i += UPSERT_BATCH_SIZE) {
+        const { sql, params } = ImportBatch.getChangeRecordQuery(batchId, changes.slice(i, i + UPSERT_BATCH_SIZE));
+        await runQuery(sql, params, connection);
+    }
+    for (const entityId of rewritten) {
+        const { sql, params } = ImportBatch.getWrittenValuesUpdateQuery(batchId, entityType, entityId, writtenValues.get(entityId));
+        await runQuery(sql, params, connection);
+    }
+}
+
+// Count each row as skipped (by the conflict policy), created (first time its key is seen)
+// or updated
+function countRowActions(records, getKey, existing, stats, entity, skippedKeys = new Set()) {
+    const seen = new Set(existing.keys());
+
+    records.forEach(record => {
+        const key = getKey(record);
+        if (skippedKeys.has(key)) {
+            stats[`${entity}_skipped`]++;
+        } else if (seen.has(key)) {
+            stats[`${entity}_updated`]++;
+        } else {
+            stats[`${entity}_created`]++;
+            seen.add(key);
+        }
+        stats[`${entity}_processed`]++;
+    });
+}
+
+// Apply the conflict policy of an entity to the records of a chunk. Rows that existed before
+// this import (not written by an earlier chunk of it) are overwritten, skipped, only get their
+// empty fields filled (skipped when there is nothing to fill) or fail the chunk. Returns the
+// latest record of every key to write (filled ones with the stored row in record.stored) and
+// the keys that are not written.
+function resolveConflicts(records, getKey, existing, policy, batchId, upsert) {
+    const isConflict = key => existing.has(key) && (!batchId || existing.get(key).import_batch_id !== batchId);
+    const skippedKeys = new Set();
+    const toWrite = [];
+
+    if (policy === 'fail') {
+        const conflicting = records.find(record => isConflict(getKey(record)));
+        if (conflicting) {
+            const error = new Error(`Error processing ${upsert.label}: '${getKey(conflicting)}' already exists (conflict policy: fail)`);
+            error.rowNumber = conflicting.rowNumber;
+            error.field = upsert.columns[0];
+            error.rule = 'conflict_policy';
+            throw error;
+        }
+    }
+
+    latestByKey(records, getKey).forEach(record => {
+        const key = getKey(record);
+        if (policy === 'overwrite' || policy === 'fail' || !isConflict(key)) {
+            toWrite.push(record);
+            return;
+        }
+
+        if (policy === 'fill-empty') {
+            const filled = fillEmptyFields(record.row, existing.get(key), upsert.fillFields);
+            if (filled) {
+                toWrite.push({ ...record, row: filled, stored: existing.get(key) });
+                return;
+            }
+        }
+
+        skippedKeys.add(key);
+    });
+
+    return { records: toWrite, skippedKeys };
+}
+
+// Keep the stored value of every field that has one and take the file value for the empty
+// ones; null when no empty field gets a value
+function fillEmptyFields(row, stored, fillFields) {
+    const isEmpty = value => value === null || value === undefined || String(value).trim() === '';
+    const merged = { ...row };
+    let filled = false;
+
+    Object.keys(fillFields).forEach(field => {
+        const storedValue = stored[fillFields[field]];
+        if (!isEmpty(storedValue)) {
+            merged[field] = storedValue;
+        } else if (!isEmpty(row[field])) {
+            filled = true;
+        }
+    });
+
+    return filled ? merged : null;
+}
+
+// Keep the last record of every key, as later rows overwrite earlier ones
+function latestByKey(records, getKey) {
+    const latest = new Map();
+    records.forEach(record => {
+        latest.delete(getKey(record));
+        latest.set(getKey(record), record);
+    });
+    return [...latest.values()];
+}
+
+// An upsert would silently update another client that owns the same (unique) email,
+// so reject rows whose email already belongs to a different client
+async function checkEmailOwnership(records, connection) {
+    const owners = await fetchByKeys(
+        'SELECT client_code, email FROM clients WHERE email IN',
+        records.map(record => record.row.email),
+        'email',
+        connection
+    );
+    const emailOwners = new Map([...owners.values()].map(owner => [owner.email, owner.client_code]));
+
+    records.forEach(record => {
+        const email = record.row.email;
+        if (!email) {
+            return;
+        }
+
+        const owner = emailOwners.get(email);
+        if (owner && owner !== record.row.client_code) {
+            const error = new Error(`Error processing client: Email '${email}' already belongs to client '${owner}'`);
+            error.rowNumber = record.rowNumber;
+            error.field = 'email';
+            error.rule = 'unique';
+            throw error;
+        }
+        emailOwners.set(email, record.row.client_code);
+    });
+}
+
+// Build a multi-row INSERT ... ON DUPLICATE KEY UPDATE statement
+function buildUpsertQuery(upsert, rowCount) {
+    const placeholders = `(${upsert.columns.map(() => '?').join(', ')})`;
+    return `INSERT INTO ${upsert.table} (${upsert.columns.join(', ')})
+        VALUES ${new Array(rowCount).fill(placeholders).join(', ')}
+        ON DUPLICATE KEY UPDATE
+        ${upsert.updateColumns.map(column => `${column} = VALUES(${column})`).join(', ')},
+        updated_at = CURRENT_TIMESTAMP`;
+}
+
+// Upsert records in batches of UPSERT_BATCH_SIZE. When a batch fails it is replayed row by
+// row (still inside the transaction) so the error can name the row that caused it.
+async function upsertInBatches(connection, upsert, records, toParams) {
+    for (let i = 0; i < records.length; i += UPSERT_BATCH_SIZE) {
+        const batch = records.slice(i, i + UPSERT_BATCH_SIZE);
+
+        try {
+            await runQuery(buildUpsertQuery(upsert, batch.length), batch.flatMap(toParams), connection);
+        } catch (batchError) {
+            for (const record of batch) {
+                try {
+                    await runQuery(buildUpsertQuery(upsert, 1), toParams(record), connection);
+                } catch (rowError) {
+                    const error = new Error(`Error processing ${upsert.label}: ${rowError.message}`);
+                    error.rowNumber = record.rowNumber;
+                    throw error;
+                }
+            }
+            throw new Error(`Error processing ${upsert.label}: ${batchError.message}`);
+        }
+    }
+}
+
+// Fields compared by the dry-run preview, with the type used to normalize values
+const CLIENT_PREVIEW_FIELDS = {
+    first_name: 'string',
+    last_name: 'string',
+    email: 'string',
+    phone: 'string',
+    address: 'string',
+    city: 'string',
+    department: 'string'
+};
+
+// Existing invoices keep their client (see INVOICE_UPSERT), so client_code is not compared
+const INVOICE_PREVIEW_FIELDS = {
+    billing_period: 'string',
+    invoice_date: 'date',
+    due_date: 'date',
+    total_amount: 'number'
+};
+
+const TRANSACTION_PREVIEW_FIELDS = {
+    invoice_number: 'string',
+    platform_name: 'string',
+    transaction_date: 'datetime',
+    amount: 'number',
+    transaction_type: 'string',
+    status: 'string'
+};
+
+// Function to preview CSV data: reports per row what would be created, updated, skipped or
+// rejected. options.firstRow, options.sheet, options.columnOf and options.policies work as in
+// processCSVData.
+async function previewCSVData(data, options = {}) {
+    const dataFirstRow = options.firstRow || 2;
+    const sheet = options.sheet || null;
+    const columnOf = options.columnOf || (field => field);
+    const policies = options.policies || DEFAULT_CONFLICT_POLICIES;
+    const summary = {
+        sheet: sheet,
+        conflict_policies: policies,
+        rows_total: data.length,
+        rows_valid: 0,
+        rows_rejected: 0,
+        rows_with_warnings: 0,
+        clients_to_create: 0,
+        clients_to_update: 0,
+        clients_unchanged: 0,
+        clients_to_skip: 0,
+        invoices_to_create: 0,
+        invoices_to_update: 0,
+        invoices_unchanged: 0,
+        invoices_to_skip: 0,
+        transactions_to_create: 0,
+        transactions_to_update: 0,
+        transactions_unchanged: 0,
+        transactions_to_skip: 0
+    };
+
+    // Load the records the file refers to in a few queries instead of per row
+    const clients = await fetchByKeys(
+        `SELECT client_code, first_name, last_name, email, phone, address, city, department
+        FROM clients WHERE client_code IN`,
+        data.map(row => row.client_code),
+        'client_code'
+    );
+    const invoices = await fetchByKeys(
+        `SELECT i.invoice_number, c.client_code, i.billing_period, i.invoice_date, i.due_date, i.total_amount
+        FROM invoices i JOIN clients c ON i.client_id = c.client_id WHERE i.invoice_number IN`,
+        data.map(row => row.invoice_number),
+        'invoice_number'
+    );
+    const transactions = await fetchByKeys(
+        `SELECT t.transaction_reference, i.invoice_number, p.platform_name, t.transaction_date,
+        t.amount, t.transaction_type, t.status
+        FROM transactions t
+        JOIN invoices i ON t.invoice_id = i.invoice_id
+        JOIN platforms p ON t.platform_id = p.platform_id
+        WHERE t.transaction_reference IN`,
+        data.map(row => row.transaction_reference),
+        'transaction_reference'
+    );
+    const platforms = await loadPlatforms();
+    const rowIssues = validateImportRows(data, { firstRow: dataFirstRow, platforms });
+
+    // The records as stored before the import, for the conflict policies
+    const stored = {
+        clients: new Map(clients),
+        invoices: new Map(invoices),
+        transactions: new Map(transactions)
+    };
+
+    const rows = [];
+
+    for (let i = 0; i < data.length; i++) {
+        const row = data[i];
+        const rowNumber = dataFirstRow + i;
+        const issuesOf = severity => rowIssues[i]
+            .filter(issue => issue.severity === severity)
+            .map(issue => toImportError(issue, sheet, columnOf));
+        const errors = issuesOf('ERROR');
+        const warnings = issuesOf('WARNING');
+
+        // The client of an existing invoice is never changed by the import
+        const storedInvoice = stored.invoices.get(row.invoice_number);
+        if (storedInvoice && row.client_code && storedInvoice.client_code !== row.client_code) {
+            warnings.push(toImportError({
+                row: rowNumber,
+                field: 'client_code',
+                value: row.client_code,
+                rule: 'invoice_client',
+                severity: 'WARNING',
+                message: `Invoice ${row.invoice_number} belongs to client ${storedInvoice.client_code}; the import keeps that client and ignores ${row.client_code}`
+            }, sheet, columnOf));
+        }
+
+        if (warnings.length > 0) {
+            summary.rows_with_warnings++;
+        }
+
+        if (errors.length > 0) {
+            summary.rows_rejected++;
+            rows.push({ row: rowNumber, status: 'REJECTED', errors: errors, warnings: warnings });
+            continue;
+        }
+
+        const dates = Invoice.resolveDates(row);
+        const client = previewWithPolicy(clients, stored.clients, policies.clients, row.client_code, {
+            first_name: row.first_name,
+            last_name: row.last_name,
+            email: row.email,
+            phone: row.phone,
+            address: row.address,
+            city: row.city,
+            department: row.department
+        }, CLIENT_PREVIEW_FIELDS);
+        const invoice = previewWithPolicy(invoices, stored.invoices, policies.invoices, row.invoice_number, {
+            billing_period: row.billing_period,
+            invoice_date: dates.invoice_date,
+            due_date: dates.due_date,
+            total_amount: row.total_amount
+        }, INVOICE_PREVIEW_FIELDS);
+        const transaction = previewWithPolicy(transactions, stored.transactions, policies.transactions, row.transaction_reference, {
+            invoice_number: row.invoice_number,
+            platform_name: row.platform_name,
+            transaction_date: row.transaction_date,
+            amount: row.transaction_amount,
+            transaction_type: row.transaction_type,
+            status: row.transaction_status
+        }, TRANSACTION_PREVIEW_FIELDS);
+
+        // The 'fail' policy rejects the whole file (or chunk) on an existing record
+        const conflicts = [['Client', 'client_code', client], ['Invoice', 'invoice_number', invoice], ['Transaction', 'transaction_reference', transaction]]
+            .filter(([, , entity]) => entity.action === 'conflict')
+            .map(([label, field, entity]) => toImportError({
+                row: rowNumber,
+                field: field,
+                value: entity.key,
+                rule: 'conflict_policy',
+                severity: 'ERROR',
+                message: `${label} '${entity.key}' already exists (conflict policy: fail)`
+            }, sheet, columnOf));
+        if (conflicts.length > 0) {
+            summary.rows_rejected++;
+            rows.push({ row: rowNumber, status: 'REJECTED', errors: conflicts, warnings: warnings });
+            continue;
+        }
+
+        summary.rows_valid++;
+        summary[`clients_${previewCounter(client.action)}`]++;
+        summary[`invoices_${previewCounter(invoice.action)}`]++;
+        summary[`transactions_${previewCounter(transaction.action)}`]++;
+
+        rows.push({ row: rowNumber, status: 'VALID', warnings: warnings, client, invoice, transaction });
+    }
+
+    return { summary, rows };
+}
+
+// Compare an incoming record with the known state and remember the result, so later
+// rows of the same file are compared against what earlier rows would have written
+function previewEntity(knownRecords, key, incoming, fields) {
+    const existing = knownRecords.get(key);
+    const normalized = {};
+    Object.keys(fields).forEach(field => {
+        normalized[field] = normalizePreviewValue(incoming[field], fields[field]);
+    });
+
+    knownRecords.set(key, normalized);
+
+    if (!existing) {
+        return { key, action: 'create', values: normalized };
+    }
+
+    const changes = {};
+    Object.keys(fields).forEach(field => {
+        const before = normalizePreviewValue(existing[field], fields[field]);
+        if (before !== normalized[field]) {
+            changes[field] = { before, after: normalized[field] };
+        }
+    });
+
+    return {
+        key,
+        action: Object.keys(changes).length > 0 ? 'update' : 'unchanged',
+        changes
+    };
+}
+
+// Preview an incoming record under the conflict policy of its entity: records stored before
+// the import are overwritten, skipped, only get their empty fields filled, or conflict
+function previewWithPolicy(knownRecords, storedRecords, policy, key, incoming, fields) {
+    const storedRecord = storedRecords.get(key);
+    if (!storedRecord || policy === 'overwrite') {
+        return previewEntity(knownRecords, key, incoming, fields);
+    }
+
+    if (policy === 'skip') {
+        return { key, action: 'skip' };
+    }
+    if (policy === 'fail') {
+        return { key, action: 'conflict' };
+    }
+
+    const merged = {};
+    Object.keys(fields).forEach(field => {
+        const storedValue = normalizePreviewValue(storedRecord[field], fields[field]);
+        merged[field] = storedValue === null ? incoming[field] : storedRecord[field];
+    });
+    return previewEntity(knownRecords, key, merged, fields);
+}
+
+// Map a preview action to its summary counter suffix
+function previewCounter(action) {
+    if (action === 'create') return 'to_create';
+    if (action === 'update') return 'to_update';
+    if (action === 'skip') return 'to_skip';
+    return 'unchanged';
+}
+
+// Normalize CSV and database values so they can be compared
+function normalizePreviewValue(value, type) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    if (type === 'number') {
+        return parseFloat(value);
+    }
+
+    if (type === 'date' || type === 'datetime') {
+        const date = value instanceof Date ? value : new Date(String(value).replace(' ', 'T'));
+        if (isNaN(date)) {
+            return String(value);
+        }
+        // Bare YYYY-MM-DD strings are parsed as UTC, everything else as local time
+        const isUtc = !(value instanceof Date) && String(value).length === 10;
+        const pad = n => String(n).padStart(2, '0');
+        const day = isUtc
+            ? `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`
+            : `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        if (type === 'date') {
+            return day;
+        }
+        const time = isUtc ? '00:00:00' : `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+        return `${day} ${time}`;
+    }
+
+    return String(value).trim();
+}
+
+// Fetch records whose key column is in the given list, in chunks, as a Map keyed by that column
+async function fetchByKeys(queryPrefix, keys, keyColumn, connection = null) {
+    const uniqueKeys = [...new Set(keys.filter(Boolean))];
+    const records = new Map();
+    const chunkSize = 1000;
+
+    for (let i = 0; i < uniqueKeys.length; i += chunkSize) {
+        const chunk = uniqueKeys.slice(i, i + chunkSize);
+        const rows = await runQuery(
+            `${queryPrefix} (${chunk.map(() => '?').join(', ')})`,
+            chunk,
+            connection
+        );
+        rows.forEach(row => records.set(row[keyColumn], row));
+    }
+
+    return records;
+}
+
+// Execute a query (on the given transaction connection, if any) and throw on failure
+// so the import can report the error
+async function runQuery(query, params = [], connection = null) {
+    if (connection) {
+        const [rows] = await connection.execute(query, params);
+        return rows;
+    }
+
+    const result = await executeQuery(query, params);
+    if (!result.success) {
+        throw new Error(result.error);
     }
+    return result.data;
 }
 
 module.exports = router;
@@ -0,0 +1,444 @@
+const express = require('express');
+const router = express.Router();
+const Invoice = require('../models/Invoice');
+const Client = require('../models/Client');
+const Transaction = require('../models/Transaction');
+const { renderInvoicePdf } = require('../services/invoicePdf');
+const { runOverdueSweep, getSweepHistory } = require('../services/overdueScheduler');
+
+// GET /api/invoices - Get all invoices
+router.get('/', async (req, res) => {
+    try {
+        const result = await Invoice.getAll();
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving invoices',
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.data,
+            count: result.data.length
+        });
+    } catch (error) {
+        console.error('Error in GET /api/invoices:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/invoices/overdue-sweeps - Get the history of overdue sweeps
+router.get('/overdue-sweeps', async (req, res) => {
+    try {
+        const result = await getSweepHistory();
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving overdue sweeps',
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.data,
+            count: result.data.length
+        });
+    } catch (error) {
+        console.error('Error in GET /api/invoices/overdue-sweeps:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/invoices/overdue-sweeps - Run the overdue sweep now
+router.post('/overdue-sweeps', async (req, res) => {
+    try {
+        const sweep = await runOverdueSweep('MANUAL');
+
+        if (sweep.error) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error running overdue sweep',
+                error: sweep.error
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `${sweep.invoices_updated} invoice(s) marked as OVERDUE`,
+            data: sweep
+        });
+    } catch (error) {
+        console.error('Error in POST /api/invoices/overdue-sweeps:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/invoices/client/:clientId - Get invoices of a client
+router.get('/client/:clientId', async (req, res) => {
+    try {
+        const clientId = parseInt(req.params.clientId);
+
+        if (isNaN(clientId) || clientId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid client ID'
+            });
+        }
+
+        // Check if client exists
+        const existingClient = await Client.getById(clientId);
+        if (!existingClient.success || existingClient.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Client not found'
+            });
+        }
+
+        const result = await Invoice.getByClient(clientId);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving client invoices',
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.data,
+            count: result.data.length
+        });
+    } catch (error) {
+        console.error('Error in GET /api/invoices/client/:clientId:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/invoices/:id - Get invoice by ID
+router.get('/:id', async (req, res) => {
+    try {
+        const invoiceId = parseInt(req.params.id);
+
+        if (isNaN(invoiceId) || invoiceId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid invoice ID'
+            });
+        }
+
+        const result = await Invoice.getById(invoiceId);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving invoice',
+                error: result.error
+            });
+        }
+
+        if (result.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.data[0]
+        });
+    } catch (error) {
+        console.error('Error in GET /api/invoices/:id:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/invoices/:id/pdf - Invoice document with client details and payment history (PDF)
+router.get('/:id/pdf', async (req, res) => {
+    try {
+        const invoiceId = parseInt(req.params.id);
+
+        if (isNaN(invoiceId) || invoiceId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid invoice ID'
+            });
+        }
+
+        const result = await Invoice.getById(invoiceId);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving invoice',
+                error: result.error
+            });
+        }
+
+        if (result.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+
+        const invoice = result.data[0];
+        const [clientResult, transactionsResult] = await Promise.all([
+            Client.getById(invoice.client_id),
+            Transaction.getByInvoice(invoiceId)
+        ]);
+
+        if (!clientResult.success || !transactionsResult.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving invoice data',
+                error: clientResult.error || transactionsResult.error
+            });
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="invoice-${invoice.invoice_number}.pdf"`);
+        renderInvoicePdf(invoice, clientResult.data[0], transactionsResult.data, res);
+    } catch (error) {
+        console.error('Error in GET /api/invoices/:id/pdf:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/invoices - Create new invoice
+router.post('/', Invoice.getValidationRules(), async (req, res) => {
+    try {
+        // Check validation
+        const validation = Invoice.checkValidation(req);
+        if (!validation.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: validation.errors
+            });
+        }
+
+        // Check if client exists
+        const existingClient = await Client.getById(req.body.client_id);
+        if (!existingClient.success || existingClient.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Client not found'
+            });
+        }
+
+        // Check if invoice number already exists
+        const existingInvoice = await Invoice.getByNumber(req.body.invoice_number);
+        if (existingInvoice.success && existingInvoice.data.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Invoice number already exists'
+            });
+        }
+
+        // Create invoice
+        const result = await Invoice.create(req.body);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error creating invoice',
+                error: result.error
+            });
+        }
+
+        // Get the created invoice
+        const createdInvoice = await Invoice.getById(result.data.insertId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Invoice created successfully',
+            data: createdInvoice.data[0]
+        });
+    } catch (error) {
+        console.error('Error in POST /api/invoices:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// PUT /api/invoices/:id - Update invoice
+router.put('/:id', Invoice.getValidationRules(), async (req, res) => {
+    try {
+        const invoiceId = parseInt(req.params.id);
+
+        if (isNaN(invoiceId) || invoiceId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid invoice ID'
+            });
+        }
+
+        // Check validation
+        const validation = Invoice.checkValidation(req);
+        if (!validation.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: validation.errors
+            });
+        }
+
+        // Check if invoice exists
+        const existingInvoice = await Invoice.getById(invoiceId);
+        if (!existingInvoice.success || existingInvoice.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+
+        // Check if client exists
+        const existingClient = await Client.getById(req.body.client_id);
+        if (!existingClient.success || existingClient.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Client not found'
+            });
+        }
+
+        // Check if new invoice number already exists (excluding current invoice)
+        const invoiceWithNumber = await Invoice.getByNumber(req.body.invoice_number);
+        if (invoiceWithNumber.success && invoiceWithNumber.data.length > 0) {
+            const existingInvoiceWithNumber = invoiceWithNumber.data[0];
+            if (existingInvoiceWithNumber.invoice_id !== invoiceId) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Invoice number already exists'
+                });
+            }
+        }
+
+        // Update invoice
+        const result = await Invoice.update(invoiceId, req.body);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error updating invoice',
+                error: result.error
+            });
+        }
+
+        // Get the updated invoice
+        const updatedInvoice = await Invoice.getById(invoiceId);
+
+        res.json({
+            success: true,
+            message: 'Invoice updated successfully',
+            data: updatedInvoice.data[0]
+        });
+    } catch (error) {
+        console.error('Error in PUT /api/invoices/:id:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// PATCH /api/invoices/:id/cancel - Cancel invoice
+router.patch('/:id/cancel', async (req, res) => {
+    try {
+        const invoiceId = parseInt(req.params.id);
+
+        if (isNaN(invoiceId) || invoiceId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid invoice ID'
+            });
+        }
+
+        // Check if invoice exists
+        const existingInvoice = await Invoice.getById(invoiceId);
+        if (!existingInvoice.success || existingInvoice.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+
+        const invoice = existingInvoice.data[0];
+        if (invoice.status === 'CANCELLED') {
+            return res.status(409).json({
+                success: false,
+                message: 'Invoice is already cancelled'
+            });
+        }
+
+        if (invoice.status === 'PAID') {
+            return res.status(409).json({
+                success: false,
+                message: 'Paid invoices cannot be cancelled'
+            });
+        }
+
+        // Cancel invoice
+        const result = await Invoice.cancel(invoiceId);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error cancelling invoice',
+                error: result.error
+            });
+        }
+
+        // Get the cancelled invoice
+        const cancelledInvoice = await Invoice.getById(invoiceId);
+
+        res.json({
+            success: true,
+            message: 'Invoice cancelled successfully',
+            data: cancelledInvoice.data[0]
+        });
+    } catch (error) {
+        console.error('Error in PATCH /api/invoices/:id/cancel:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
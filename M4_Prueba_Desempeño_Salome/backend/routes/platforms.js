@@ -0,0 +1,317 @@
+const express = require('express');
+const router = express.Router();
+const Platform = require('../models/Platform');
+
+// GET /api/platforms - Get all platforms
+router.get('/', async (req, res) => {
+    try {
+        const result = await Platform.getAll();
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving platforms',
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.data,
+            count: result.data.length
+        });
+    } catch (error) {
+        console.error('Error in GET /api/platforms:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/platforms/:id - Get platform by ID
+router.get('/:id', async (req, res) => {
+    try {
+        const platformId = parseInt(req.params.id);
+
+        if (isNaN(platformId) || platformId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid platform ID'
+            });
+        }
+
+        const result = await Platform.getById(platformId);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving platform',
+                error: result.error
+            });
+        }
+
+        if (result.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Platform not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.data[0]
+        });
+    } catch (error) {
+        console.error('Error in GET /api/platforms/:id:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/platforms - Create new platform
+router.post('/', Platform.getValidationRules(), async (req, res) => {
+    try {
+        // Check validation
+        const validation = Platform.checkValidation(req);
+        if (!validation.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: validation.errors
+            });
+        }
+
+        // Check if platform name already exists
+        const existingPlatform = await Platform.getByName(req.body.platform_name);
+        if (existingPlatform.success && existingPlatform.data.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Platform name already exists'
+            });
+        }
+
+        // Create platform
+        const result = await Platform.create(req.body);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error creating platform',
+                error: result.error
+            });
+        }
+
+        // Get the created platform
+        const createdPlatform = await Platform.getById(result.data.insertId);
+
+        res.status(201).json({
+            success: true,
+            message: 'Platform created successfully',
+            data: createdPlatform.data[0]
+        });
+    } catch (error) {
+        console.error('Error in POST /api/platforms:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// PUT /api/platforms/:id - Rename platform or change its type
+router.put('/:id', Platform.getValidationRules(), async (req, res) => {
+    try {
+        const platformId = parseInt(req.params.id);
+
+        if (isNaN(platformId) || platformId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid platform ID'
+            });
+        }
+
+        // Check validation
+        const validation = Platform.checkValidation(req);
+        if (!validation.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: validation.errors
+            });
+        }
+
+        // Check if platform exists
+        const existingPlatform = await Platform.getById(platformId);
+        if (!existingPlatform.success || existingPlatform.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Platform not found'
+            });
+        }
+
+        // Check if new platform name already exists (excluding current platform)
+        const platformWithName = await Platform.getByName(req.body.platform_name);
+        if (platformWithName.success && platformWithName.data.length > 0) {
+            if (platformWithName.data[0].platform_id !== platformId) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Platform name already exists'
+                });
+            }
+        }
+
+        // Update platform
+        const result = await Platform.update(platformId, req.body);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error updating platform',
+                error: result.error
+            });
+        }
+
+        // Get the updated platform
+        const updatedPlatform = await Platform.getById(platformId);
+
+        res.json({
+            success: true,
+            message: 'Platform updated successfully',
+            data: updatedPlatform.data[0]
+        });
+    } catch (error) {
+        console.error('Error in PUT /api/platforms/:id:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// PATCH /api/platforms/:id/activate - Activate platform
+router.patch('/:id/activate', async (req, res) => {
+    try {
+        const platformId = parseInt(req.params.id);
+
+        if (isNaN(platformId) || platformId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid platform ID'
+            });
+        }
+
+        // Check if platform exists
+        const existingPlatform = await Platform.getById(platformId);
+        if (!existingPlatform.success || existingPlatform.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Platform not found'
+            });
+        }
+
+        // Activate platform
+        const result = await Platform.setActive(platformId, true);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error activating platform',
+                error: result.error
+            });
+        }
+
+        // Get the updated platform
+        const updatedPlatform = await Platform.getById(platformId);
+
+        res.json({
+            success: true,
+            message: 'Platform activated successfully',
+            data: updatedPlatform.data[0]
+        });
+    } catch (error) {
+        console.error('Error in PATCH /api/platforms/:id/activate:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// PATCH /api/platforms/:id/deactivate - Deactivate platform
+router.patch('/:id/deactivate', async (req, res) => {
+    try {
+        const platformId = parseInt(req.params.id);
+
+        if (isNaN(platformId) || platformId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid platform ID'
+            });
+        }
+
+        // Check if platform exists
+        const existingPlatform = await Platform.getById(platformId);
+        if (!existingPlatform.success || existingPlatform.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Platform not found'
+            });
+        }
+
+        // Platforms with pending transactions cannot be deactivated
+        const pendingResult = await Platform.countPendingTransactions(platformId);
+        if (!pendingResult.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error checking pending transactions',
+                error: pendingResult.error
+            });
+        }
+
+        const pendingTransactions = pendingResult.data[0].pending_transactions;
+        if (pendingTransactions > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `Platform has ${pendingTransactions} pending transaction(s) and cannot be deactivated`,
+                pending_transactions: pendingTransactions
+            });
+        }
+
+        // Deactivate platform
+        const result = await Platform.setActive(platformId, false);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error deactivating platform',
+                error: result.error
+            });
+        }
+
+        // Get the updated platform
+        const updatedPlatform = await Platform.getById(platformId);
+
+        res.json({
+            success: true,
+            message: 'Platform deactivated successfully',
+            data: updatedPlatform.data[0]
+        });
+    } catch (error) {
+        console.error('Error in PATCH /api/platforms/:id/deactivate:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -1,10 +1,124 @@
 const express = require('express');
 const router = express.Router();
 const { executeQuery } = require('../config/database');
+const { EXPORT_FORMATS, sendReportExport } = require('../services/reportExport');
+const {
+    getReportFilterRules,
+    checkReportFilters,
+    getReportFilters,
+    describeReportFilters,
+    clientConditions,
+    invoiceConditions,
+    transactionConditions,
+    invoiceTransactionConditions
+} = require('../services/reportFilters');
 
-// GET /api/queries/total-payments - Total paid by each client
-router.get('/total-payments', async (req, res) => {
+// Columns of the CSV and Excel exports of each report
+const EXPORT_COLUMNS = {
+    totalPayments: [
+        { key: 'client_code', header: 'Client Code', width: 14 },
+        { key: 'client_name', header: 'Client Name', width: 28 },
+        { key: 'email', header: 'Email', width: 30 },
+        { key: 'city', header: 'City', width: 20 },
+        { key: 'department', header: 'Department', width: 20 },
+        { key: 'total_paid', header: 'Total Paid', type: 'currency' },
+        { key: 'total_transactions', header: 'Transactions', type: 'integer', width: 14 },
+        { key: 'last_payment_date', header: 'Last Payment', type: 'datetime', width: 20 }
+    ],
+    pendingInvoices: [
+        { key: 'invoice_number', header: 'Invoice #', width: 14 },
+        { key: 'client_code', header: 'Client Code', width: 14 },
+        { key: 'client_name', header: 'Client Name', width: 28 },
+        { key: 'email', header: 'Email', width: 30 },
+        { key: 'phone', header: 'Phone', width: 20 },
+        { key: 'city', header: 'City', width: 20 },
+        { key: 'department', header: 'Department', width: 20 },
+        { key: 'invoice_date', header: 'Invoice Date', type: 'date', width: 14 },
+        { key: 'due_date', header: 'Due Date', type: 'date', width: 14 },
+        { key: 'total_amount', header: 'Total Amount', type: 'currency' },
+        { key: 'paid_amount', header: 'Paid Amount', type: 'currency' },
+        { key: 'pending_amount', header: 'Pending Amount', type: 'currency' },
+        { key: 'status', header: 'Status', width: 12 },
+        { key: 'payment_status', header: 'Payment Status', width: 16 },
+        { key: 'days_overdue', header: 'Days Overdue', type: 'integer', width: 14 }
+    ],
+    transactionsByPlatform: [
+        { key: 'platform_name', header: 'Platform', width: 18 },
+        { key: 'platform_type', header: 'Platform Type', width: 16 },
+        { key: 'transaction_reference', header: 'Transaction Ref', width: 18 },
+        { key: 'transaction_date', header: 'Date', type: 'datetime', width: 20 },
+        { key: 'amount', header: 'Amount', type: 'currency' },
+        { key: 'transaction_type', header: 'Type', width: 14 },
+        { key: 'status', header: 'Status', width: 12 },
+        { key: 'client_code', header: 'Client Code', width: 14 },
+        { key: 'client_name', header: 'Client Name', width: 28 },
+        { key: 'city', header: 'City', width: 20 },
+        { key: 'department', header: 'Department', width: 20 },
+        { key: 'invoice_number', header: 'Invoice #', width: 14 },
+        { key: 'invoice_date', header: 'Invoice Date', type: 'date', width: 14 },
+        { key: 'total_amount', header: 'Invoice Total', type: 'currency' },
+        { key: 'invoice_status', header: 'Invoice Status', width: 14 },
+        { key: 'description', header: 'Description', width: 30 }
+    ],
+    platformStatistics: [
+        { key: 'platform_name', header: 'Platform' },
+        { key: 'total_transactions', header: 'Transactions', type: 'integer' },
+        { key: 'total_amount', header: 'Total Amount', type: 'currency' },
+        { key: 'completed_transactions', header: 'Completed', type: 'integer' },
+        { key: 'pending_transactions', header: 'Pending', type: 'integer' },
+        { key: 'failed_transactions', header: 'Failed', type: 'integer' }
+    ]
+};
+
+// Response format requested with ?format=json|csv|xlsx (null when not supported)
+function getFormat(req) {
+    const format = req.query.format || 'json';
+    return EXPORT_FORMATS.includes(format) ? format : null;
+}
+
+function invalidFormat(res) {
+    return res.status(400).json({
+        success: false,
+        message: `Invalid format. Allowed values: ${EXPORT_FORMATS.join(', ')}`
+    });
+}
+
+// Every report accepts the shared filters (see services/reportFilters.js):
+// ?from=&to= (YYYY-MM-DD), ?billing_period=YYYY-MM, ?city=, ?department=, ?client_code=,
+// ?invoice_status=, ?transaction_status=, ?transaction_type=, ?platform=, ?min_amount=, ?max_amount=.
+// Date and amount ranges apply to transactions in transaction reports and to invoices in
+// invoice reports, where transaction filters keep the invoices with a matching transaction.
+function invalidFilters(res, validation) {
+    return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validation.errors
+    });
+}
+
+// GET /api/queries/total-payments - Total paid by each client (?format=json|csv|xlsx)
+router.get('/total-payments', getReportFilterRules(), async (req, res) => {
     try {
+        const format = getFormat(req);
+
+        if (!format) {
+            return invalidFormat(res);
+        }
+
+        // Check validation
+        const validation = checkReportFilters(req);
+        if (!validation.success) {
+            return invalidFilters(res, validation);
+        }
+
+        // Invoice and transaction filters go in the joins so clients without matches still show 0.
+        // Only completed transactions count as paid unless ?transaction_status= asks for another status.
+        const filters = getReportFilters(req);
+        const clients = clientConditions(filters);
+        const invoices = invoiceConditions(filters);
+        const transactions = transactionConditions(filters, 't', { ranges: true });
+        const transactionStatus = filters.transaction_status ? '' : " AND t.status = 'COMPLETED'";
+
         const query = `
             SELECT 
                 c.client_id,
@@ -17,14 +131,14 @@ router.get('/total-payments', async (req, res) => {
                 COUNT(t.transaction_id) AS total_transactions,
                 MAX(t.transaction_date) AS last_payment_date
             FROM clients c
-            LEFT JOIN invoices i ON c.client_id = i.client_id
-            LEFT JOIN transactions t ON i.invoice_id = t.invoice_id AND t.status = 'COMPLETED'
-            WHERE c.is_active = TRUE
+            LEFT JOIN invoices i ON c.client_id = i.client_id${invoices.sql}
+            LEFT JOIN transactions t ON i.invoice_id = t.invoice_id${transactionStatus}${transactions.sql}
+            WHERE c.is_active = TRUE${clients.sql}
             GROUP BY c.client_id, c.client_code, c.first_name, c.last_name, c.email, c.city, c.department
             ORDER BY total_paid DESC
         `;
 
-        const result = await executeQuery(query);
+        const result = await executeQuery(query, [...invoices.params, ...transactions.params, ...clients.params]);
         
         if (!result.success) {
             return res.status(500).json({
@@ -39,6 +153,22 @@ router.get('/total-payments', async (req, res) => {
         const totalAmount = result.data.reduce((sum, client) => sum + parseFloat(client.total_paid), 0);
         const averagePayment = totalClients > 0 ? totalAmount / totalClients : 0;
 
+        if (format !== 'json') {
+            return await sendReportExport(res, {
+                name: 'total-payments',
+                title: 'Total Payments by Client',
+                sheet: 'Total Payments',
+                columns: EXPORT_COLUMNS.totalPayments,
+                rows: result.data,
+                filters: describeReportFilters(filters),
+                summary: [
+                    { label: 'Total clients', value: totalClients, type: 'integer' },
+                    { label: 'Total amount paid', value: totalAmount, type: 'currency' },
+                    { label: 'Average payment per client', value: averagePayment, type: 'currency' }
+                ]
+            }, format);
+        }
+
         res.json({
             success: true,
             data: result.data,
@@ -47,7 +177,8 @@ router.get('/total-payments', async (req, res) => {
                 total_amount_paid: totalAmount,
                 average_payment_per_client: averagePayment
             },
-            count: result.data.length
+            count: result.data.length,
+            filters: filters
         });
     } catch (error) {
         console.error('Error in GET /api/queries/total-payments:', error);
@@ -59,9 +190,26 @@ router.get('/total-payments', async (req, res) => {
     }
 });
 
-// GET /api/queries/pending-invoices - Pending invoices with client and transaction info
-router.get('/pending-invoices', async (req, res) => {
+// GET /api/queries/pending-invoices - Pending invoices with client and transaction info (?format=json|csv|xlsx)
+router.get('/pending-invoices', getReportFilterRules(), async (req, res) => {
     try {
+        const format = getFormat(req);
+
+        if (!format) {
+            return invalidFormat(res);
+        }
+
+        // Check validation
+        const validation = checkReportFilters(req);
+        if (!validation.success) {
+            return invalidFilters(res, validation);
+        }
+
+        const filters = getReportFilters(req);
+        const clients = clientConditions(filters);
+        const invoices = invoiceConditions(filters, 'i', { ranges: true });
+        const transactions = invoiceTransactionConditions(filters);
+
         const query = `
             SELECT 
                 i.invoice_id,
@@ -103,7 +251,7 @@ router.get('/pending-invoices', async (req, res) => {
             FROM invoices i
             JOIN clients c ON i.client_id = c.client_id
             WHERE i.status IN ('PENDING', 'PARTIAL', 'OVERDUE')
-            AND c.is_active = TRUE
+            AND c.is_active = TRUE${clients.sql}${invoices.sql}${transactions.sql}
             ORDER BY 
                 CASE 
                     WHEN i.due_date < CURRENT_DATE THEN 1
@@ -114,7 +262,7 @@ router.get('/pending-invoices', async (req, res) => {
                 pending_amount DESC
         `;
 
-        const result = await executeQuery(query);
+        const result = await executeQuery(query, [...clients.params, ...invoices.params, ...transactions.params]);
         
         if (!result.success) {
             return res.status(500).json({
@@ -130,6 +278,23 @@ router.get('/pending-invoices', async (req, res) => {
         const overdueInvoices = result.data.filter(invoice => invoice.days_overdue > 0).length;
         const dueTodayInvoices = result.data.filter(invoice => invoice.days_overdue === 0).length;
 
+        if (format !== 'json') {
+            return await sendReportExport(res, {
+                name: 'pending-invoices',
+                title: 'Pending Invoices',
+                sheet: 'Pending Invoices',
+                columns: EXPORT_COLUMNS.pendingInvoices,
+                rows: result.data,
+                filters: describeReportFilters(filters),
+                summary: [
+                    { label: 'Total pending invoices', value: totalPendingInvoices, type: 'integer' },
+                    { label: 'Total pending amount', value: totalPendingAmount, type: 'currency' },
+                    { label: 'Overdue invoices', value: overdueInvoices, type: 'integer' },
+                    { label: 'Invoices due today', value: dueTodayInvoices, type: 'integer' }
+                ]
+            }, format);
+        }
+
         res.json({
             success: true,
             data: result.data,
@@ -139,7 +304,8 @@ router.get('/pending-invoices', async (req, res) => {
                 overdue_invoices: overdueInvoices,
                 due_today_invoices: dueTodayInvoices
             },
-            count: result.data.length
+            count: result.data.length,
+            filters: filters
         });
     } catch (error) {
         console.error('Error in GET /api/queries/pending-invoices:', error);
@@ -151,12 +317,27 @@ router.get('/pending-invoices', async (req, res) => {
     }
 });
 
-// GET /api/queries/transactions-by-platform - Transactions by platform
-router.get('/transactions-by-platform', async (req, res) => {
+// GET /api/queries/transactions-by-platform - Transactions by platform (?platform=&format=json|csv|xlsx)
+router.get('/transactions-by-platform', getReportFilterRules(), async (req, res) => {
     try {
-        const { platform } = req.query;
+        const format = getFormat(req);
+
+        if (!format) {
+            return invalidFormat(res);
+        }
+
+        // Check validation
+        const validation = checkReportFilters(req);
+        if (!validation.success) {
+            return invalidFilters(res, validation);
+        }
+
+        const filters = getReportFilters(req);
+        const clients = clientConditions(filters);
+        const invoices = invoiceConditions(filters);
+        const transactions = transactionConditions(filters, 't', { ranges: true });
         
-        let query = `
+        const query = `
             SELECT 
                 p.platform_id,
                 p.platform_name,
@@ -181,19 +362,11 @@ router.get('/transactions-by-platform', async (req, res) => {
             JOIN platforms p ON t.platform_id = p.platform_id
             JOIN invoices i ON t.invoice_id = i.invoice_id
             JOIN clients c ON i.client_id = c.client_id
-            WHERE c.is_active = TRUE
+            WHERE c.is_active = TRUE${clients.sql}${invoices.sql}${transactions.sql}
+            ORDER BY t.transaction_date DESC
         `;
 
-        const params = [];
-        
-        if (platform) {
-            query += ` AND p.platform_name = ?`;
-            params.push(platform);
-        }
-
-        query += ` ORDER BY t.transaction_date DESC`;
-
-        const result = await executeQuery(query, params);
+        const result = await executeQuery(query, [...clients.params, ...invoices.params, ...transactions.params]);
         
         if (!result.success) {
             return res.status(500).json({
@@ -237,6 +410,29 @@ router.get('/transactions-by-platform', async (req, res) => {
             }
         });
 
+        if (format !== 'json') {
+            return await sendReportExport(res, {
+                name: 'transactions-by-platform',
+                title: 'Transactions by Platform',
+                sheet: 'Transactions',
+                columns: EXPORT_COLUMNS.transactionsByPlatform,
+                rows: result.data,
+                filters: describeReportFilters(filters),
+                summary: [
+                    { label: 'Total transactions', value: totalTransactions, type: 'integer' },
+                    { label: 'Total amount', value: totalAmount, type: 'currency' },
+                    { label: 'Completed transactions', value: completedTransactions, type: 'integer' },
+                    { label: 'Pending transactions', value: pendingTransactions, type: 'integer' },
+                    { label: 'Failed transactions', value: failedTransactions, type: 'integer' }
+                ],
+                breakdown: {
+                    title: 'By platform',
+                    columns: EXPORT_COLUMNS.platformStatistics,
+                    rows: Object.values(platformStats)
+                }
+            }, format);
+        }
+
         res.json({
             success: true,
             data: result.data,
@@ -249,7 +445,8 @@ router.get('/transactions-by-platform', async (req, res) => {
                 platform_statistics: Object.values(platformStats)
             },
             count: result.data.length,
-            filtered_by_platform: platform || 'all'
+            filtered_by_platform: filters.platform || 'all',
+            filters: filters
         });
     } catch (error) {
         console.error('Error in GET /api/queries/transactions-by-platform:', error);
@@ -261,6 +458,694 @@ router.get('/transactions-by-platform', async (req, res) => {
     }
 });
 
+// Grouping levels supported by the aging report
+const AGING_GROUPS = {
+    client: {
+        columns: `
+                c.client_id,
+                c.client_code,
+                CONCAT(c.first_name, ' ', c.last_name) AS client_name,
+                c.city,
+                c.department,`,
+        groupBy: 'c.client_id, c.client_code, c.first_name, c.last_name, c.city, c.department'
+    },
+    city: {
+        columns: `
+                c.city,
+                c.department,`,
+        groupBy: 'c.city, c.department'
+    },
+    department: {
+        columns: `
+                c.department,`,
+        groupBy: 'c.department'
+    }
+};
+
+// GET /api/queries/aging - Accounts-receivable aging of outstanding balances (?group_by=client|city|department)
+router.get('/aging', getReportFilterRules(), async (req, res) => {
+    try {
+        const groupBy = req.query.group_by || 'client';
+        const group = AGING_GROUPS[groupBy];
+
+        if (!group) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid group_by. Allowed values: ${Object.keys(AGING_GROUPS).join(', ')}`
+            });
+        }
+
+        // Check validation
+        const validation = checkReportFilters(req);
+        if (!validation.success) {
+            return invalidFilters(res, validation);
+        }
+
+        const filters = getReportFilters(req);
+        const clients = clientConditions(filters);
+        const invoices = invoiceConditions(filters, 'i', { ranges: true });
+        const transactions = invoiceTransactionConditions(filters);
+
+        const query = `
+            SELECT ${group.columns}
+                COUNT(i.invoice_id) AS open_invoices,
+                SUM(CASE WHEN DATEDIFF(CURRENT_DATE, i.due_date) <= 0
+                    THEN i.total_amount - i.paid_amount ELSE 0 END) AS current_amount,
+                SUM(CASE WHEN DATEDIFF(CURRENT_DATE, i.due_date) BETWEEN 1 AND 30
+                    THEN i.total_amount - i.paid_amount ELSE 0 END) AS days_1_30,
+                SUM(CASE WHEN DATEDIFF(CURRENT_DATE, i.due_date) BETWEEN 31 AND 60
+                    THEN i.total_amount - i.paid_amount ELSE 0 END) AS days_31_60,
+                SUM(CASE WHEN DATEDIFF(CURRENT_DATE, i.due_date) BETWEEN 61 AND 90
+                    THEN i.total_amount - i.paid_amount ELSE 0 END) AS days_61_90,
+                SUM(CASE WHEN DATEDIFF(CURRENT_DATE, i.due_date) > 90
+                    THEN i.total_amount - i.paid_amount ELSE 0 END) AS days_over_90,
+                SUM(i.total_amount - i.paid_amount) AS total_outstanding
+            FROM invoices i
+            JOIN clients c ON i.client_id = c.client_id
+            WHERE i.status IN ('PENDING', 'PARTIAL', 'OVERDUE')
+            AND i.total_amount > i.paid_amount
+            AND c.is_active = TRUE${clients.sql}${invoices.sql}${transactions.sql}
+            GROUP BY ${group.groupBy}
+            ORDER BY total_outstanding DESC
+        `;
+
+        const result = await executeQuery(query, [...clients.params, ...invoices.params, ...transactions.params]);
+        
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving aging report',
+                error: result.error
+            });
+        }
+
+        // Calculate bucket totals
+        const buckets = ['current_amount', 'days_1_30', 'days_31_60', 'days_61_90', 'days_over_90', 'total_outstanding'];
+        const totals = {};
+        buckets.forEach(bucket => {
+            totals[bucket] = result.data.reduce((sum, row) => sum + parseFloat(row[bucket]), 0);
+        });
+        totals.open_invoices = result.data.reduce((sum, row) => sum + row.open_invoices, 0);
+
+        res.json({
+            success: true,
+            data: result.data,
+            summary: totals,
+            count: result.data.length,
+            grouped_by: groupBy,
+            filters: filters
+        });
+    } catch (error) {
+        console.error('Error in GET /api/queries/aging:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Time buckets of the revenue trend: the billing period of the invoice, or the day, ISO week
+// or month of the invoice date (amounts invoiced) and of the transaction date (collections)
+const TREND_INTERVALS = {
+    billing_period: {
+        invoice: 'i.billing_period',
+        transaction: 'i.billing_period'
+    },
+    day: {
+        invoice: "DATE_FORMAT(i.invoice_date, '%Y-%m-%d')",
+        transaction: "DATE_FORMAT(t.transaction_date, '%Y-%m-%d')"
+    },
+    week: {
+        invoice: "DATE_FORMAT(i.invoice_date, '%x-W%v')",
+        transaction: "DATE_FORMAT(t.transaction_date, '%x-W%v')"
+    },
+    month: {
+        invoice: "DATE_FORMAT(i.invoice_date, '%Y-%m')",
+        transaction: "DATE_FORMAT(t.transaction_date, '%Y-%m')"
+    }
+};
+
+// Ways to split the revenue trend. Invoices have no platform, so amounts invoiced are only
+// reported per period when splitting by platform.
+const TREND_SPLITS = {
+    platform: { invoice: null, transaction: 'p.platform_name' },
+    department: { invoice: 'c.department', transaction: 'c.department' }
+};
+
+// Net collected (collected minus refunds) over amount invoiced; null without invoices
+function collectionRate(net, invoiced) {
+    return invoiced > 0 ? Math.round(net / invoiced * 10000) / 10000 : null;
+}
+
+// Figures of the revenue trend from the invoiced, collected and refunded amounts
+function trendFigures(amounts) {
+    const net = amounts.collected - amounts.refunds;
+    return {
+        invoiced: amounts.invoiced,
+        collected: amounts.collected,
+        refunds: amounts.refunds,
+        net: net,
+        collection_rate: collectionRate(net, amounts.invoiced)
+    };
+}
+
+// GET /api/queries/revenue-trend - Invoiced, collected, refunds, net and collection rate per period
+// (?interval=billing_period|day|week|month&split_by=platform|department)
+router.get('/revenue-trend', getReportFilterRules(), async (req, res) => {
+    try {
+        const intervalName = req.query.interval || 'billing_period';
+        const interval = TREND_INTERVALS[intervalName];
+        const splitBy = req.query.split_by || null;
+        const split = splitBy ? TREND_SPLITS[splitBy] : null;
+
+        if (!interval) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid interval. Allowed values: ${Object.keys(TREND_INTERVALS).join(', ')}`
+            });
+        }
+
+        if (splitBy && !split) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid split_by. Allowed values: ${Object.keys(TREND_SPLITS).join(', ')}`
+            });
+        }
+
+        // Check validation
+        const validation = checkReportFilters(req);
+        if (!validation.success) {
+            return invalidFilters(res, validation);
+        }
+
+        const filters = getReportFilters(req);
+        const clients = clientConditions(filters);
+        const invoiceRanges = invoiceConditions(filters, 'i', { ranges: true });
+        const invoices = invoiceConditions(filters);
+        const transactions = transactionConditions(filters, 't', { ranges: true });
+        const invoiceSplit = split && split.invoice;
+
+        // Cancelled invoices are not revenue
+        const invoicedQuery = `
+            SELECT
+                ${interval.invoice} AS period,${invoiceSplit ? `
+                ${split.invoice} AS split_key,` : ''}
+                SUM(i.total_amount) AS invoiced
+            FROM invoices i
+            JOIN clients c ON i.client_id = c.client_id
+            WHERE i.status <> 'CANCELLED'
+            AND c.is_active = TRUE${clients.sql}${invoiceRanges.sql}
+            GROUP BY period${invoiceSplit ? ', split_key' : ''}
+        `;
+
+        const collectedQuery = `
+            SELECT
+                ${interval.transaction} AS period,${split ? `
+                ${split.transaction} AS split_key,` : ''}
+                SUM(CASE WHEN t.transaction_type = 'PAYMENT' THEN t.amount ELSE 0 END) AS collected,
+                SUM(CASE WHEN t.transaction_type = 'REFUND' THEN t.amount ELSE 0 END) AS refunds
+            FROM transactions t
+            JOIN platforms p ON t.platform_id = p.platform_id
+            JOIN invoices i ON t.invoice_id = i.invoice_id
+            JOIN clients c ON i.client_id = c.client_id
+            WHERE t.status = 'COMPLETED'
+            AND c.is_active = TRUE${clients.sql}${invoices.sql}${transactions.sql}
+            GROUP BY period${split ? ', split_key' : ''}
+        `;
+
+        const [invoicedResult, collectedResult] = await Promise.all([
+            executeQuery(invoicedQuery, [...clients.params, ...invoiceRanges.params]),
+            executeQuery(collectedQuery, [...clients.params, ...invoices.params, ...transactions.params])
+        ]);
+
+        if (!invoicedResult.success || !collectedResult.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving revenue trend',
+                error: invoicedResult.error || collectedResult.error
+            });
+        }
+
+        // Add up the amounts per period, and per split key and period
+        const amountsOf = (map, key) => {
+            if (!map.has(key)) {
+                map.set(key, { invoiced: 0, collected: 0, refunds: 0 });
+            }
+            return map.get(key);
+        };
+        const periods = new Map();
+        const series = new Map();
+        const seriesOf = key => {
+            if (!series.has(key)) {
+                series.set(key, new Map());
+            }
+            return series.get(key);
+        };
+
+        invoicedResult.data.forEach(row => {
+            amountsOf(periods, row.period).invoiced += parseFloat(row.invoiced);
+            if (invoiceSplit) {
+                amountsOf(seriesOf(row.split_key), row.period).invoiced += parseFloat(row.invoiced);
+            }
+        });
+        collectedResult.data.forEach(row => {
+            const targets = [amountsOf(periods, row.period)];
+            if (split) {
+                targets.push(amountsOf(seriesOf(row.split_key), row.period));
+            }
+            targets.forEach(amounts => {
+                amounts.collected += parseFloat(row.collected);
+                amounts.refunds += parseFloat(row.refunds);
+            });
+        });
+
+        const byKey = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+        const toPoints = amountsByPeriod => [...amountsByPeriod.keys()].sort(byKey).map(period => ({
+            period: period,
+            ...trendFigures(amountsByPeriod.get(period))
+        }));
+        const data = toPoints(periods);
+
+        const totals = { invoiced: 0, collected: 0, refunds: 0 };
+        periods.forEach(amounts => {
+            totals.invoiced += amounts.invoiced;
+            totals.collected += amounts.collected;
+            totals.refunds += amounts.refunds;
+        });
+
+        const response = {
+            success: true,
+            data: data,
+            summary: trendFigures(totals),
+            count: data.length,
+            interval: intervalName,
+            split_by: splitBy,
+            filters: filters
+        };
+
+        if (split) {
+            response.series = [...series.keys()].sort(byKey).map(key => ({
+                key: key,
+                data: toPoints(series.get(key)).map(point => invoiceSplit ? point : { ...point, invoiced: null, collection_rate: null })
+            }));
+        }
+
+        res.json(response);
+    } catch (error) {
+        console.error('Error in GET /api/queries/revenue-trend:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Payment attempts the platform analytics are computed from, as a common table expression:
+// every payment matching the shared filters, with the period it falls in and the days
+// between the invoice date and the payment
+function platformAttempts(filters, period) {
+    const clients = clientConditions(filters);
+    const invoices = invoiceConditions(filters);
+    const transactions = transactionConditions(filters, 't', { ranges: true });
+    return {
+        sql: `
+            attempts AS (
+                SELECT
+                    t.transaction_id,
+                    t.invoice_id,
+                    t.platform_id,
+                    t.transaction_date,
+                    t.amount,
+                    t.status,
+                    ${period} AS period,
+                    DATEDIFF(t.transaction_date, i.invoice_date) AS days_to_payment
+                FROM transactions t
+                JOIN invoices i ON t.invoice_id = i.invoice_id
+                JOIN clients c ON i.client_id = c.client_id
+                WHERE t.transaction_type = 'PAYMENT'
+                AND c.is_active = TRUE${clients.sql}${invoices.sql}${transactions.sql}
+            )`,
+        params: [...clients.params, ...invoices.params, ...transactions.params]
+    };
+}
+
+// Numeric columns of the platform analytics (DECIMAL values come back from MySQL as strings)
+const ANALYTICS_NUMBERS = [
+    'total_attempts', 'completed_attempts', 'failed_attempts', 'pending_attempts', 'cancelled_attempts',
+    'success_rate', 'failure_rate', 'completed_volume', 'average_ticket', 'median_ticket', 'volume_share',
+    'average_days_to_payment', 'retried_failures', 'recovered_failures', 'retry_rate', 'recovery_rate',
+    'volume_change', 'success_rate_change'
+];
+
+function analyticsNumbers(row) {
+    const converted = { ...row };
+    ANALYTICS_NUMBERS.forEach(column => {
+        if (converted[column] !== undefined && converted[column] !== null) {
+            converted[column] = Number(converted[column]);
+        }
+    });
+    return converted;
+}
+
+// Completed over settled (completed or failed) attempts; null when none settled
+function successRate(completed, failed) {
+    return completed + failed > 0 ? Math.round(completed / (completed + failed) * 10000) / 10000 : null;
+}
+
+// GET /api/queries/platform-analytics - Conversion, ticket size, share, time to payment, retries and
+// period-over-period change of each payment platform (?interval=billing_period|day|week|month)
+router.get('/platform-analytics', getReportFilterRules(), async (req, res) => {
+    try {
+        const intervalName = req.query.interval || 'month';
+        const interval = TREND_INTERVALS[intervalName];
+
+        if (!interval) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid interval. Allowed values: ${Object.keys(TREND_INTERVALS).join(', ')}`
+            });
+        }
+
+        // Check validation
+        const validation = checkReportFilters(req);
+        if (!validation.success) {
+            return invalidFilters(res, validation);
+        }
+
+        const filters = getReportFilters(req);
+        const attempts = platformAttempts(filters, interval.transaction);
+
+        // Rates are over settled attempts (completed or failed). A failure counts as retried when
+        // the same invoice has a later payment attempt on any platform, and as recovered when
+        // that later attempt completed.
+        const platformsQuery = `
+            WITH${attempts.sql},
+            medians AS (
+                SELECT platform_id, AVG(amount) AS median_ticket
+                FROM (
+                    SELECT
+                        platform_id,
+                        amount,
+                        ROW_NUMBER() OVER (PARTITION BY platform_id ORDER BY amount) AS position,
+                        COUNT(*) OVER (PARTITION BY platform_id) AS completed_count
+                    FROM attempts
+                    WHERE status = 'COMPLETED'
+                ) ranked
+                WHERE position IN (FLOOR((completed_count + 1) / 2), FLOOR(completed_count / 2) + 1)
+                GROUP BY platform_id
+            ),
+            retries AS (
+                SELECT
+                    f.platform_id,
+                    SUM(EXISTS (
+                        SELECT 1 FROM transactions r
+                        WHERE r.invoice_id = f.invoice_id
+                        AND r.transaction_type = 'PAYMENT'
+                        AND (r.transaction_date > f.transaction_date
+                            OR (r.transaction_date = f.transaction_date AND r.transaction_id > f.transaction_id))
+                    )) AS retried_failures,
+                    SUM(EXISTS (
+                        SELECT 1 FROM transactions r
+                        WHERE r.invoice_id = f.invoice_id
+                        AND r.transaction_type = 'PAYMENT'
+                        AND r.status = 'COMPLETED'
+                        AND (r.transaction_date > f.transaction_date
+                            OR (r.transaction_date = f.transaction_date AND r.transaction_id > f.transaction_id))
+                    )) AS recovered_failures
+                FROM attempts f
+                WHERE f.status = 'FAILED'
+                GROUP BY f.platform_id
+            ),
+            totals AS (
+                SELECT
+                    platform_id,
+                    COUNT(*) AS total_attempts,
+                    SUM(status = 'COMPLETED') AS completed_attempts,
+                    SUM(status = 'FAILED') AS failed_attempts,
+                    SUM(status = 'PENDING') AS pending_attempts,
+                    SUM(status = 'CANCELLED') AS cancelled_attempts,
+                    COALESCE(SUM(CASE WHEN status = 'COMPLETED' THEN amount END), 0) AS completed_volume,
+                    AVG(CASE WHEN status = 'COMPLETED' THEN amount END) AS average_ticket,
+                    AVG(CASE WHEN status = 'COMPLETED' THEN days_to_payment END) AS average_days_to_payment
+                FROM attempts
+                GROUP BY platform_id
+            )
+            SELECT
+                p.platform_id,
+                p.platform_name,
+                p.platform_type,
+                tt.total_attempts,
+                tt.completed_attempts,
+                tt.failed_attempts,
+                tt.pending_attempts,
+                tt.cancelled_attempts,
+                ROUND(tt.completed_attempts / NULLIF(tt.completed_attempts + tt.failed_attempts, 0), 4) AS success_rate,
+                ROUND(tt.failed_attempts / NULLIF(tt.completed_attempts + tt.failed_attempts, 0), 4) AS failure_rate,
+                tt.completed_volume,
+                ROUND(tt.average_ticket, 2) AS average_ticket,
+                ROUND(m.median_ticket, 2) AS median_ticket,
+                ROUND(tt.completed_volume / NULLIF(SUM(tt.completed_volume) OVER (), 0), 4) AS volume_share,
+                ROUND(tt.average_days_to_payment, 1) AS average_days_to_payment,
+                COALESCE(r.retried_failures, 0) AS retried_failures,
+                COALESCE(r.recovered_failures, 0) AS recovered_failures,
+                ROUND(r.retried_failures / NULLIF(tt.failed_attempts, 0), 4) AS retry_rate,
+                ROUND(r.recovered_failures / NULLIF(tt.failed_attempts, 0), 4) AS recovery_rate
+            FROM totals tt
+            JOIN platforms p ON tt.platform_id = p.platform_id
+            LEFT JOIN medians m ON tt.platform_id = m.platform_id
+            LEFT JOIN retries r ON tt.platform_id = r.platform_id
+            ORDER BY tt.completed_volume DESC, p.platform_name
+        `;
+
+        // Each period is compared with the previous period in which the platform had payments
+        const periodsQuery = `
+            WITH${attempts.sql},
+            periods AS (
+                SELECT
+                    platform_id,
+                    period,
+                    COUNT(*) AS total_attempts,
+                    SUM(status = 'COMPLETED') AS completed_attempts,
+                    SUM(status = 'FAILED') AS failed_attempts,
+                    COALESCE(SUM(CASE WHEN status = 'COMPLETED' THEN amount END), 0) AS completed_volume
+                FROM attempts
+                GROUP BY platform_id, period
+            ),
+            rates AS (
+                SELECT
+                    periods.*,
+                    completed_attempts / NULLIF(completed_attempts + failed_attempts, 0) AS success_rate
+                FROM periods
+            ),
+            compared AS (
+                SELECT
+                    rates.*,
+                    LAG(period) OVER w AS previous_period,
+                    LAG(completed_volume) OVER w AS previous_volume,
+                    LAG(success_rate) OVER w AS previous_success_rate
+                FROM rates
+                WINDOW w AS (PARTITION BY platform_id ORDER BY period)
+            )
+            SELECT
+                platform_id,
+                period,
+                previous_period,
+                total_attempts,
+                completed_attempts,
+                failed_attempts,
+                ROUND(success_rate, 4) AS success_rate,
+                completed_volume,
+                ROUND((completed_volume - previous_volume) / NULLIF(previous_volume, 0), 4) AS volume_change,
+                ROUND(success_rate - previous_success_rate, 4) AS success_rate_change
+            FROM compared
+            ORDER BY platform_id, period
+        `;
+
+        const [platformsResult, periodsResult] = await Promise.all([
+            executeQuery(platformsQuery, attempts.params),
+            executeQuery(periodsQuery, attempts.params)
+        ]);
+
+        if (!platformsResult.success || !periodsResult.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving platform analytics',
+                error: platformsResult.error || periodsResult.error
+            });
+        }
+
+        const periodsByPlatform = new Map();
+        periodsResult.data.forEach(row => {
+            if (!periodsByPlatform.has(row.platform_id)) {
+                periodsByPlatform.set(row.platform_id, []);
+            }
+            const { platform_id: platformId, ...period } = analyticsNumbers(row);
+            periodsByPlatform.get(platformId).push(period);
+        });
+
+        const data = platformsResult.data.map(row => {
+            const periods = periodsByPlatform.get(row.platform_id) || [];
+            const latest = periods[periods.length - 1];
+            return {
+                ...analyticsNumbers(row),
+                period_change: latest && latest.previous_period ? {
+                    period: latest.period,
+                    previous_period: latest.previous_period,
+                    volume_change: latest.volume_change,
+                    success_rate_change: latest.success_rate_change
+                } : null,
+                periods: periods
+            };
+        });
+
+        const totals = data.reduce((sum, platform) => ({
+            total_attempts: sum.total_attempts + platform.total_attempts,
+            completed_attempts: sum.completed_attempts + platform.completed_attempts,
+            failed_attempts: sum.failed_attempts + platform.failed_attempts,
+            completed_volume: sum.completed_volume + platform.completed_volume
+        }), { total_attempts: 0, completed_attempts: 0, failed_attempts: 0, completed_volume: 0 });
+
+        res.json({
+            success: true,
+            data: data,
+            summary: {
+                ...totals,
+                success_rate: successRate(totals.completed_attempts, totals.failed_attempts)
+            },
+            count: data.length,
+            interval: intervalName,
+            filters: filters
+        });
+    } catch (error) {
+        console.error('Error in GET /api/queries/platform-analytics:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// Levels of the geographic report, from department down to the clients of a city
+const GEOGRAPHY_LEVELS = {
+    department: {
+        columns: `
+                c.department,
+                COUNT(DISTINCT c.city) AS cities,`,
+        groupBy: 'c.department'
+    },
+    city: {
+        columns: `
+                c.department,
+                c.city,`,
+        groupBy: 'c.department, c.city'
+    },
+    client: {
+        columns: `
+                c.department,
+                c.city,
+                c.client_id,
+                c.client_code,
+                CONCAT(c.first_name, ' ', c.last_name) AS client_name,`,
+        groupBy: 'c.department, c.city, c.client_id, c.client_code, c.first_name, c.last_name'
+    }
+};
+
+// GET /api/queries/geography - Clients, invoiced, collected, outstanding and overdue invoices by territory
+// (?level=department|city|client; drill down with ?department= and ?city=)
+router.get('/geography', getReportFilterRules(), async (req, res) => {
+    try {
+        const levelName = req.query.level || 'department';
+        const level = GEOGRAPHY_LEVELS[levelName];
+
+        if (!level) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid level. Allowed values: ${Object.keys(GEOGRAPHY_LEVELS).join(', ')}`
+            });
+        }
+
+        // Check validation
+        const validation = checkReportFilters(req);
+        if (!validation.success) {
+            return invalidFilters(res, validation);
+        }
+
+        const filters = getReportFilters(req);
+        const clients = clientConditions(filters);
+        const invoices = invoiceConditions(filters, 'i', { ranges: true });
+        const transactions = invoiceTransactionConditions(filters);
+
+        // Every active client of the territory counts, with or without invoices; cancelled
+        // invoices are left out and overdue invoices are the open ones past their due date
+        const query = `
+            SELECT ${level.columns}
+                COUNT(c.client_id) AS clients,
+                COALESCE(SUM(ci.invoices), 0) AS invoices,
+                COALESCE(SUM(ci.invoiced), 0) AS invoiced,
+                COALESCE(SUM(ci.collected), 0) AS collected,
+                COALESCE(SUM(ci.outstanding), 0) AS outstanding,
+                COALESCE(SUM(ci.overdue_invoices), 0) AS overdue_invoices
+            FROM clients c
+            LEFT JOIN (
+                SELECT
+                    i.client_id,
+                    COUNT(*) AS invoices,
+                    SUM(i.total_amount) AS invoiced,
+                    SUM(i.paid_amount) AS collected,
+                    SUM(CASE WHEN i.status IN ('PENDING', 'PARTIAL', 'OVERDUE')
+                        THEN i.total_amount - i.paid_amount ELSE 0 END) AS outstanding,
+                    SUM(CASE WHEN i.status IN ('PENDING', 'PARTIAL', 'OVERDUE')
+                        AND i.total_amount > i.paid_amount
+                        AND i.due_date < CURRENT_DATE THEN 1 ELSE 0 END) AS overdue_invoices
+                FROM invoices i
+                WHERE i.status <> 'CANCELLED'${invoices.sql}${transactions.sql}
+                GROUP BY i.client_id
+            ) ci ON ci.client_id = c.client_id
+            WHERE c.is_active = TRUE${clients.sql}
+            GROUP BY ${level.groupBy}
+            ORDER BY outstanding DESC, invoiced DESC
+        `;
+
+        const result = await executeQuery(query, [...invoices.params, ...transactions.params, ...clients.params]);
+        
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving geographic report',
+                error: result.error
+            });
+        }
+
+        // Calculate totals
+        const totals = {};
+        ['invoiced', 'collected', 'outstanding'].forEach(amount => {
+            totals[amount] = result.data.reduce((sum, row) => sum + parseFloat(row[amount]), 0);
+        });
+        ['clients', 'invoices', 'overdue_invoices'].forEach(count => {
+            totals[count] = result.data.reduce((sum, row) => sum + Number(row[count]), 0);
+        });
+
+        res.json({
+            success: true,
+            data: result.data,
+            summary: totals,
+            count: result.data.length,
+            level: levelName,
+            filters: filters
+        });
+    } catch (error) {
+        console.error('Error in GET /api/queries/geography:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
 // GET /api/queries/platforms - Get available platforms
 router.get('/platforms', async (req, res) => {
     try {
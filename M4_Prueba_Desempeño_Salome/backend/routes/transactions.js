@@ -0,0 +1,273 @@
+const express = require('express');
+const router = express.Router();
+const Transaction = require('../models/Transaction');
+const Invoice = require('../models/Invoice');
+const Platform = require('../models/Platform');
+
+// GET /api/transactions - Get all transactions
+router.get('/', async (req, res) => {
+    try {
+        const result = await Transaction.getAll();
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving transactions',
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.data,
+            count: result.data.length
+        });
+    } catch (error) {
+        console.error('Error in GET /api/transactions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/transactions/invoice/:invoiceId - Get transactions of an invoice
+router.get('/invoice/:invoiceId', async (req, res) => {
+    try {
+        const invoiceId = parseInt(req.params.invoiceId);
+
+        if (isNaN(invoiceId) || invoiceId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid invoice ID'
+            });
+        }
+
+        // Check if invoice exists
+        const existingInvoice = await Invoice.getById(invoiceId);
+        if (!existingInvoice.success || existingInvoice.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+
+        const result = await Transaction.getByInvoice(invoiceId);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving invoice transactions',
+                error: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.data,
+            count: result.data.length
+        });
+    } catch (error) {
+        console.error('Error in GET /api/transactions/invoice/:invoiceId:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/transactions/:id - Get transaction by ID
+router.get('/:id', async (req, res) => {
+    try {
+        const transactionId = parseInt(req.params.id);
+
+        if (isNaN(transactionId) || transactionId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid transaction ID'
+            });
+        }
+
+        const result = await Transaction.getById(transactionId);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error retrieving transaction',
+                error: result.error
+            });
+        }
+
+        if (result.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Transaction not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.data[0]
+        });
+    } catch (error) {
+        console.error('Error in GET /api/transactions/:id:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/transactions - Create new transaction
+router.post('/', Transaction.getValidationRules(), async (req, res) => {
+    try {
+        // Check validation
+        const validation = Transaction.checkValidation(req);
+        if (!validation.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: validation.errors
+            });
+        }
+
+        // Check if invoice exists and accepts transactions
+        const existingInvoice = await Invoice.getById(req.body.invoice_id);
+        if (!existingInvoice.success || existingInvoice.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+
+        if (existingInvoice.data[0].status === 'CANCELLED') {
+            return res.status(409).json({
+                success: false,
+                message: 'Cannot register transactions on a cancelled invoice'
+            });
+        }
+
+        // Check if platform exists and is active
+        const existingPlatform = await Platform.getById(req.body.platform_id);
+        if (!existingPlatform.success || existingPlatform.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Platform not found'
+            });
+        }
+
+        if (!existingPlatform.data[0].is_active) {
+            return res.status(409).json({
+                success: false,
+                message: 'Platform is not active'
+            });
+        }
+
+        // Check if transaction reference already exists
+        const existingTransaction = await Transaction.getByReference(req.body.transaction_reference);
+        if (existingTransaction.success && existingTransaction.data.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Transaction reference already exists'
+            });
+        }
+
+        // Create transaction (also recalculates the invoice balance)
+        const result = await Transaction.create(req.body);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error creating transaction',
+                error: result.error
+            });
+        }
+
+        // Get the created transaction and the updated invoice
+        const createdTransaction = await Transaction.getById(result.data.insertId);
+        const updatedInvoice = await Invoice.getById(req.body.invoice_id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Transaction created successfully',
+            data: createdTransaction.data[0],
+            invoice: updatedInvoice.data[0]
+        });
+    } catch (error) {
+        console.error('Error in POST /api/transactions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+// PATCH /api/transactions/:id/status - Update transaction status
+router.patch('/:id/status', Transaction.getStatusValidationRules(), async (req, res) => {
+    try {
+        const transactionId = parseInt(req.params.id);
+
+        if (isNaN(transactionId) || transactionId <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid transaction ID'
+            });
+        }
+
+        // Check validation
+        const validation = Transaction.checkValidation(req);
+        if (!validation.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: validation.errors
+            });
+        }
+
+        // Check if transaction exists
+        const existingTransaction = await Transaction.getById(transactionId);
+        if (!existingTransaction.success || existingTransaction.data.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Transaction not found'
+            });
+        }
+
+        const transaction = existingTransaction.data[0];
+
+        // Update status (also recalculates the invoice balance)
+        const result = await Transaction.updateStatus(transactionId, transaction.invoice_id, req.body.status);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Error updating transaction status',
+                error: result.error
+            });
+        }
+
+        // Get the updated transaction and invoice
+        const updatedTransaction = await Transaction.getById(transactionId);
+        const updatedInvoice = await Invoice.getById(transaction.invoice_id);
+
+        res.json({
+            success: true,
+            message: 'Transaction status updated successfully',
+            data: updatedTransaction.data[0],
+            invoice: updatedInvoice.data[0]
+        });
+    } catch (error) {
+        console.error('Error in PATCH /api/transactions/:id/status:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
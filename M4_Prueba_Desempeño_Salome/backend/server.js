@@ -5,11 +5,15 @@ require('dotenv').config();
 
 // Import database configuration
 const { testConnection } = require('./config/database');
+const { startOverdueScheduler, getLastSweep } = require('./services/overdueScheduler');
 
 // Import routes
 const clientsRouter = require('./routes/clients');
 const queriesRouter = require('./routes/queries');
 const dataLoaderRouter = require('./routes/data-loader');
+const invoicesRouter = require('./routes/invoices');
+const transactionsRouter = require('./routes/transactions');
+const platformsRouter = require('./routes/platforms');
 
 // Create Express app
 const app = express();
@@ -42,6 +46,7 @@ app.get('/api/health', async (req, res) => {
             message: 'Financial Data Management System API',
             status: 'healthy',
             database: dbConnected ? 'connected' : 'disconnected',
+            last_overdue_sweep: getLastSweep(),
             timestamp: new Date().toISOString(),
             version: '1.0.0'
         });
@@ -58,6 +63,9 @@ app.get('/api/health', async (req, res) => {
 app.use('/api/clients', clientsRouter);
 app.use('/api/queries', queriesRouter);
 app.use('/api/data-loader', dataLoaderRouter);
+app.use('/api/invoices', invoicesRouter);
+app.use('/api/transactions', transactionsRouter);
+app.use('/api/platforms', platformsRouter);
 
 // Serve frontend
 app.get('/', (req, res) => {
@@ -121,6 +129,9 @@ async function startServer() {
             console.log('==========================================');
             console.log('');
             console.log('🎯 Ready to serve requests!');
+
+            // Daily invoice status maintenance
+            startOverdueScheduler();
         });
 
     } catch (error) {
@@ -0,0 +1,109 @@
+const MappingProfile = require('../models/MappingProfile');
+
+const DATE_FIELDS = ['invoice_date', 'due_date', 'transaction_date'];
+const AMOUNT_FIELDS = ['total_amount', 'paid_amount', 'transaction_amount'];
+
+// Convert a date written in the given layout (optionally followed by a time) to
+// YYYY-MM-DD[ HH:mm:ss]; values that do not match are returned unchanged for validation to reject
+function convertDate(value, format) {
+    const order = ['YYYY', 'MM', 'DD'].sort((a, b) => format.indexOf(a) - format.indexOf(b));
+    const pattern = format
+        .replace(/[/.-]/g, separator => `\\${separator}`)
+        .replace('YYYY', '(\\d{4})')
+        .replace('MM', '(\\d{1,2})')
+        .replace('DD', '(\\d{1,2})');
+    const match = new RegExp(`^${pattern}(?:[ T](\\d{1,2}):(\\d{2})(?::(\\d{2}))?)?$`).exec(value);
+
+    if (!match) {
+        return value;
+    }
+
+    const parts = {};
+    order.forEach((token, index) => { parts[token] = match[index + 1]; });
+    const pad = number => String(number).padStart(2, '0');
+    const date = `${parts.YYYY}-${pad(parts.MM)}-${pad(parts.DD)}`;
+
+    return match[4] === undefined
+        ? date
+        : `${date} ${pad(match[4])}:${match[5]}:${match[6] || '00'}`;
+}
+
+// Normalize an amount written with the given decimal separator to a plain JS number string
+function convertAmount(value, decimalSeparator) {
+    const cleaned = value.replace(/[\s$]/g, '');
+    return decimalSeparator === ','
+        ? cleaned.replace(/\./g, '').replace(',', '.')
+        : cleaned.replace(/,/g, '');
+}
+
+// Translate a status/type value through the profile synonyms (case-insensitive)
+function convertSynonym(value, synonyms) {
+    const match = Object.keys(synonyms).find(source => source.toUpperCase() === value.toUpperCase());
+    return match ? synonyms[match] : value.toUpperCase();
+}
+
+// JSON columns come back parsed from MySQL, or as text from other servers
+function parseJson(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value || {};
+}
+
+// Map one source row to the system fields using a profile
+function mapRow(sourceRow, profile) {
+    const columnMapping = parseJson(profile.column_mapping);
+    const transforms = parseJson(profile.transforms);
+    const defaultValues = parseJson(profile.default_values);
+    const synonyms = transforms.status_synonyms || {};
+    const row = {};
+
+    MappingProfile.SYSTEM_FIELDS.forEach(field => {
+        // Unmapped fields are read from a header with the same name, if any
+        const header = columnMapping[field] || field;
+        let value = sourceRow[header];
+
+        if (value === undefined || value === null || String(value).trim() === '') {
+            value = defaultValues[field];
+        }
+        if (value === undefined || value === null) {
+            return;
+        }
+
+        value = String(value).trim();
+
+        if (transforms.date_format && (DATE_FIELDS.includes(field) || field === 'billing_period')) {
+            value = convertDate(value, transforms.date_format);
+        }
+        if (field === 'billing_period' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+            // A full date mapped as billing period stands for its month
+            value = value.slice(0, 7);
+        }
+        if (transforms.decimal_separator && AMOUNT_FIELDS.includes(field)) {
+            value = convertAmount(value, transforms.decimal_separator);
+        }
+        if (synonyms[field]) {
+            value = convertSynonym(value, synonyms[field]);
+        }
+
+        row[field] = value;
+    });
+
+    return row;
+}
+
+// Source column a system field is read from (the field itself without a profile)
+function sourceColumnOf(profile, field) {
+    const columnMapping = profile ? parseJson(profile.column_mapping) : {};
+    return columnMapping[field] || field;
+}
+
+// Map every source row to the system fields; without a profile rows are used as they are
+function applyMappingProfile(rows, profile) {
+    if (!profile) {
+        return rows;
+    }
+    return rows.map(row => mapRow(row, profile));
+}
+
+module.exports = {
+    applyMappingProfile,
+    sourceColumnOf
+};
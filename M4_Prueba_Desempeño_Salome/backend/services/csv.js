@@ -0,0 +1,23 @@
+// Quote a value when it contains a separator, a quote or a line break (RFC 4180)
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV line (with its line break) from a list of values
+function toCsvLine(values) {
+    return values.map(escapeCsvValue).join(',') + '\r\n';
+}
+
+// CSV text with a header line from column names and row objects keyed by those names
+function toCsv(columns, rows) {
+    return toCsvLine(columns) + rows.map(row => toCsvLine(columns.map(column => row[column]))).join('');
+}
+
+module.exports = {
+    toCsvLine,
+    toCsv
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Finished jobs kept in memory for status queries
+const MAX_JOBS = 100;
+
+const jobs = new Map();
+const emitters = new Map();
+
+// Register a new queued job
+function createJob(details = {}) {
+    const job = {
+        job_id: crypto.randomUUID(),
+        ...details,
+        status: 'QUEUED',
+        phase: null,
+        rows_total: 0,
+        rows_processed: 0,
+        errors_count: 0,
+        warnings_count: 0,
+        message: null,
+        stats: null,
+        created_at: new Date(),
+        started_at: null,
+        finished_at: null
+    };
+
+    jobs.set(job.job_id, job);
+    emitters.set(job.job_id, new EventEmitter());
+    pruneJobs();
+    return job;
+}
+
+// Run a job in the background. The task receives a reporter to publish progress, row errors
+// and row warnings, and resolves with { status, message, stats }.
+function runJob(job, task) {
+    const reporter = {
+        setTotal(rowsTotal) {
+            job.rows_total = rowsTotal;
+            publish(job, 'progress', progressOf(job));
+        },
+        progress(progress) {
+            Object.assign(job, progress);
+            publish(job, 'progress', progressOf(job));
+        },
+        error(error) {
+            job.errors_count++;
+            publish(job, 'row-error', { error });
+        },
+        warning(warning) {
+            job.warnings_count++;
+            publish(job, 'row-warning', { warning });
+        }
+    };
+
+    job.status = 'RUNNING';
+    job.started_at = new Date();
+    publish(job, 'progress', progressOf(job));
+
+    setImmediate(async () => {
+        try {
+            const result = await task(reporter);
+            Object.assign(job, result);
+        } catch (error) {
+            console.error(`Import job ${job.job_id} failed:`, error);
+            job.status = 'FAILED';
+            job.message = error.message;
+        }
+
+        job.finished_at = new Date();
+        publish(job, 'done', getJob(job.job_id));
+        emitters.get(job.job_id).removeAllListeners();
+    });
+
+    return job;
+}
+
+// Get a job by ID
+function getJob(jobId) {
+    return jobs.get(jobId) || null;
+}
+
+// Listen to the events of a job; returns a function that stops listening
+function subscribe(jobId, listener) {
+    const emitter = emitters.get(jobId);
+    if (!emitter) {
+        return () => {};
+    }
+
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+}
+
+function isFinished(job) {
+    return job.finished_at !== null;
+}
+
+function progressOf(job) {
+    return {
+        status: job.status,
+        phase: job.phase,
+        rows_total: job.rows_total,
+        rows_processed: job.rows_processed,
+        errors_count: job.errors_count,
+        warnings_count: job.warnings_count
+    };
+}
+
+function publish(job, type, data) {
+    emitters.get(job.job_id).emit('event', { type, data });
+}
+
+// Drop the oldest finished jobs beyond MAX_JOBS
+function pruneJobs() {
+    for (const [jobId, job] of jobs) {
+        if (jobs.size <= MAX_JOBS) {
+            break;
+        }
+        if (isFinished(job)) {
+            jobs.delete(jobId);
+            emitters.delete(jobId);
+        }
+    }
+}
+
+module.exports = {
+    createJob,
+    runJob,
+    getJob,
+    subscribe,
+    isFinished
+};
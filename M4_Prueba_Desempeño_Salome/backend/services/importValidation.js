@@ -0,0 +1,238 @@
+const Invoice = require('../models/Invoice');
+const Transaction = require('../models/Transaction');
+
+const REQUIRED_FIELDS = {
+    client_code: 'client code',
+    first_name: 'first name',
+    last_name: 'last name',
+    invoice_number: 'invoice number',
+    billing_period: 'billing period',
+    total_amount: 'total amount',
+    transaction_reference: 'transaction reference',
+    transaction_date: 'transaction date',
+    transaction_amount: 'transaction amount',
+    transaction_type: 'transaction type',
+    transaction_status: 'transaction status',
+    platform_name: 'platform name'
+};
+
+// Allowed values of the ENUM columns the row fields are stored in
+const ENUM_FIELDS = {
+    invoice_status: { label: 'invoice status', values: Invoice.STATUSES },
+    transaction_type: { label: 'transaction type', values: Transaction.TYPES },
+    transaction_status: { label: 'transaction status', values: Transaction.STATUSES }
+};
+
+const BILLING_PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isEmpty(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+// A calendar date that exists (rejects 2024-02-30, 2024-13-01, ...)
+function isRealDate(year, month, day) {
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    return date.getUTCFullYear() === Number(year) &&
+        date.getUTCMonth() === Number(month) - 1 &&
+        date.getUTCDate() === Number(day);
+}
+
+function isValidDate(value) {
+    const match = DATE_PATTERN.exec(value);
+    return Boolean(match) && isRealDate(match[1], match[2], match[3]);
+}
+
+function isValidDateTime(value) {
+    const match = DATETIME_PATTERN.exec(value);
+    if (!match || !isRealDate(match[1], match[2], match[3])) {
+        return false;
+    }
+    return match[4] === undefined ||
+        (Number(match[4]) < 24 && Number(match[5]) < 60 && Number(match[6] || 0) < 60);
+}
+
+// Strict number parsing: '12abc' is not an amount
+function parseAmount(value) {
+    const number = Number(String(value).trim());
+    return Number.isFinite(number) ? number : null;
+}
+
+function formatAmount(amount) {
+    return amount.toFixed(2);
+}
+
+// Check every row of a file against the domain rules. Returns, for each row, the list of
+// issues { row, field, value, rule, severity, message } found in it; rows are numbered from
+// options.firstRow and options.platforms (Map by name) resolves platform names. ERROR issues
+// reject the row (and roll back its file or chunk); WARNING issues are reported but imported.
+function validateImportRows(rows, options = {}) {
+    const firstRow = options.firstRow || 2;
+    const platforms = options.platforms || new Map();
+
+    // First row of each invoice, client and transaction reference, for cross-row rules
+    const invoicesSeen = new Map();
+    const clientsSeen = new Map();
+    const transactionsSeen = new Map();
+
+    return rows.map((data, index) => {
+        const rowNumber = firstRow + index;
+        const issues = [];
+        const add = (severity, field, rule, message) => {
+            issues.push({
+                row: rowNumber,
+                field: field,
+                value: field && data[field] !== undefined ? data[field] : null,
+                rule: rule,
+                severity: severity,
+                message: message
+            });
+        };
+
+        // Required fields
+        Object.keys(REQUIRED_FIELDS).forEach(field => {
+            if (isEmpty(data[field])) {
+                add('ERROR', field, 'required', `Missing ${REQUIRED_FIELDS[field]}`);
+            }
+        });
+
+        // Enums
+        Object.keys(ENUM_FIELDS).forEach(field => {
+            const { label, values } = ENUM_FIELDS[field];
+            if (!isEmpty(data[field]) && !values.includes(data[field])) {
+                add('ERROR', field, 'enum', `Invalid ${label} '${data[field]}' (expected one of: ${values.join(', ')})`);
+            }
+        });
+
+        // Dates
+        if (!isEmpty(data.billing_period) && !BILLING_PERIOD_PATTERN.test(data.billing_period)) {
+            add('ERROR', 'billing_period', 'format', `Invalid billing period '${data.billing_period}' (expected YYYY-MM)`);
+        }
+        ['invoice_date', 'due_date'].forEach(field => {
+            if (!isEmpty(data[field]) && !isValidDate(data[field])) {
+                add('ERROR', field, 'date', `Invalid ${field.replace('_', ' ')} '${data[field]}' (expected an existing date as YYYY-MM-DD)`);
+            }
+        });
+        if (!isEmpty(data.transaction_date) && !isValidDateTime(data.transaction_date)) {
+            add('ERROR', 'transaction_date', 'date', `Invalid transaction date '${data.transaction_date}' (expected an existing date as YYYY-MM-DD [HH:MM:SS])`);
+        }
+
+        const dates = !isEmpty(data.billing_period) && BILLING_PERIOD_PATTERN.test(data.billing_period) &&
+            (isEmpty(data.invoice_date) || isValidDate(data.invoice_date)) &&
+            (isEmpty(data.due_date) || isValidDate(data.due_date))
+            ? Invoice.resolveDates(data)
+            : null;
+        if (dates && dates.due_date < dates.invoice_date) {
+            add('ERROR', 'due_date', 'date_order', `Due date ${dates.due_date} is before invoice date ${dates.invoice_date}`);
+        }
+        // Only explicit invoice dates: one derived from the billing period is just its first day
+        if (dates && !isEmpty(data.invoice_date) && !isEmpty(data.transaction_date) && isValidDateTime(data.transaction_date) &&
+            data.transaction_date.slice(0, 10) < dates.invoice_date) {
+            add('WARNING', 'transaction_date', 'date_order', `Transaction date ${data.transaction_date} is before invoice date ${dates.invoice_date}`);
+        }
+
+        // Amounts
+        const amounts = {};
+        ['total_amount', 'paid_amount', 'transaction_amount'].forEach(field => {
+            if (isEmpty(data[field])) {
+                return;
+            }
+            amounts[field] = parseAmount(data[field]);
+            if (amounts[field] === null) {
+                add('ERROR', field, 'number', `Invalid ${field.replace('_', ' ')} '${data[field]}'`);
+            }
+        });
+
+        const total = amounts.total_amount;
+        const paid = amounts.paid_amount;
+        const amount = amounts.transaction_amount;
+        if (typeof total === 'number' && total < 0) {
+            add('ERROR', 'total_amount', 'negative', `Total amount ${formatAmount(total)} is negative`);
+        }
+        if (typeof paid === 'number' && paid < 0) {
+            add('ERROR', 'paid_amount', 'negative', `Paid amount ${formatAmount(paid)} is negative`);
+        }
+        if (typeof amount === 'number') {
+            // Same rule as the transactions API: adjustments may be negative but not zero
+            if (data.transaction_type === 'ADJUSTMENT' ? amount === 0 : amount <= 0) {
+                add('ERROR', 'transaction_amount', 'negative', data.transaction_type === 'ADJUSTMENT'
+                    ? 'Adjustment amount must not be zero'
+                    : `Transaction amount ${formatAmount(amount)} must be greater than zero`);
+            }
+            if (typeof total === 'number' && total >= 0 && Math.abs(amount) > total) {
+                add('ERROR', 'transaction_amount', 'exceeds_invoice', `Transaction amount ${formatAmount(amount)} is greater than invoice total ${formatAmount(total)}`);
+            }
+        }
+        if (typeof paid === 'number' && typeof total === 'number' && total >= 0 && paid > total) {
+            add('ERROR', 'paid_amount', 'exceeds_invoice', `Paid amount ${formatAmount(paid)} is greater than invoice total ${formatAmount(total)}`);
+        }
+
+        // Paid amount and invoice status are derived from transactions; flag files that disagree
+        if (typeof paid === 'number' && typeof total === 'number' && paid <= total && Invoice.STATUSES.includes(data.invoice_status)) {
+            const expected = paid >= total && total > 0 ? 'PAID' : paid > 0 ? 'PARTIAL' : null;
+            if (expected && data.invoice_status !== expected && data.invoice_status !== 'CANCELLED') {
+                add('WARNING', 'invoice_status', 'status_mismatch', `Invoice status ${data.invoice_status} does not match paid amount ${formatAmount(paid)} of ${formatAmount(total)}`);
+            }
+        }
+
+        // Other fields
+        if (!isEmpty(data.email) && !EMAIL_PATTERN.test(data.email)) {
+            add('ERROR', 'email', 'format', `Invalid email '${data.email}'`);
+        }
+
+        // Platforms are managed through /api/platforms, never created by uploads
+        if (!isEmpty(data.platform_name)) {
+            const platform = platforms.get(data.platform_name);
+            if (!platform) {
+                add('ERROR', 'platform_name', 'unknown_platform', `Unknown platform '${data.platform_name}'`);
+            } else if (!platform.is_active) {
+                add('ERROR', 'platform_name', 'inactive_platform', `Platform '${data.platform_name}' is not active`);
+            }
+        }
+
+        // Cross-row rules: later rows must agree with the first row of the same invoice/client
+        if (!isEmpty(data.invoice_number)) {
+            const first = invoicesSeen.get(data.invoice_number);
+            if (!first) {
+                invoicesSeen.set(data.invoice_number, { row: rowNumber, data });
+            } else {
+                if (!isEmpty(data.client_code) && !isEmpty(first.data.client_code) && data.client_code !== first.data.client_code) {
+                    add('ERROR', 'client_code', 'invoice_conflict', `Invoice ${data.invoice_number} belongs to client ${first.data.client_code} in row ${first.row}, not ${data.client_code}`);
+                }
+                const firstTotal = isEmpty(first.data.total_amount) ? null : parseAmount(first.data.total_amount);
+                if (typeof total === 'number' && firstTotal !== null && total !== firstTotal) {
+                    add('ERROR', 'total_amount', 'invoice_conflict', `Invoice ${data.invoice_number} has total ${formatAmount(firstTotal)} in row ${first.row}, not ${formatAmount(total)}`);
+                }
+                if (!isEmpty(data.billing_period) && data.billing_period !== first.data.billing_period) {
+                    add('WARNING', 'billing_period', 'invoice_conflict', `Invoice ${data.invoice_number} has billing period ${first.data.billing_period} in row ${first.row}; ${data.billing_period} will overwrite it`);
+                }
+            }
+        }
+
+        if (!isEmpty(data.client_code)) {
+            const first = clientsSeen.get(data.client_code);
+            if (!first) {
+                clientsSeen.set(data.client_code, { row: rowNumber, data });
+            } else if (!isEmpty(data.email) && !isEmpty(first.data.email) && data.email !== first.data.email) {
+                add('WARNING', 'email', 'client_conflict', `Client ${data.client_code} has email ${first.data.email} in row ${first.row}; ${data.email} will overwrite it`);
+            }
+        }
+
+        if (!isEmpty(data.transaction_reference)) {
+            const firstRowOfReference = transactionsSeen.get(data.transaction_reference);
+            if (firstRowOfReference === undefined) {
+                transactionsSeen.set(data.transaction_reference, rowNumber);
+            } else {
+                add('WARNING', 'transaction_reference', 'duplicate', `Transaction ${data.transaction_reference} already appears in row ${firstRowOfReference}; this row will overwrite it`);
+            }
+        }
+
+        return issues;
+    });
+}
+
+module.exports = {
+    validateImportRows
+};
@@ -0,0 +1,123 @@
+const PDFDocument = require('pdfkit');
+const { COMPANY_NAME, COMPANY_TAGLINE, toDate, formatDate, formatAmount } = require('./statements');
+
+// Format a DB datetime as YYYY-MM-DD HH:mm (local time)
+function formatDateTime(value) {
+    const date = toDate(value);
+    return `${formatDate(date)} ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+// Render an invoice with its client and payment history as a PDF written to the given stream
+function renderInvoicePdf(invoice, client, transactions, stream) {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+    const columns = [
+        { label: 'Date', x: 50, width: 95 },
+        { label: 'Reference', x: 145, width: 90 },
+        { label: 'Platform', x: 235, width: 90 },
+        { label: 'Type', x: 325, width: 75 },
+        { label: 'Status', x: 400, width: 70 },
+        { label: 'Amount', x: 470, width: 85, align: 'right' }
+    ];
+
+    const drawRow = (values, options = {}) => {
+        if (doc.y > doc.page.height - 80) {
+            doc.addPage();
+        }
+        const y = doc.y;
+        doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        columns.forEach((column, index) => {
+            // Left-aligned cells may overflow into the (empty) next column instead of wrapping
+            const options = column.align ? { width: column.width, align: column.align } : { lineBreak: false };
+            doc.text(values[index] || '', column.x, y, options);
+        });
+        doc.x = 50;
+        doc.y = y + 16;
+    };
+
+    // Label on the left, amount right-aligned at the end of the page
+    const drawTotal = (label, amount, bold = false) => {
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+        doc.text(label, 330, y, { width: 125 });
+        doc.text(formatAmount(amount), 455, y, { width: 100, align: 'right' });
+        doc.x = 50;
+        doc.y = y + 16;
+    };
+
+    doc.pipe(stream);
+
+    // Header
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#cd0dfd').text(COMPANY_NAME, 50, 50);
+    doc.font('Helvetica').fontSize(10).fillColor('#6c757d').text(COMPANY_TAGLINE);
+    doc.font('Helvetica-Bold').fontSize(14).fillColor('#333333')
+        .text(`Invoice ${invoice.invoice_number}`, 50, 50, { align: 'right' });
+    doc.font('Helvetica').fontSize(10)
+        .text(`Status: ${invoice.status}`, { align: 'right' });
+
+    // Client and invoice details side by side
+    doc.moveDown(2);
+    const detailsY = doc.y;
+    doc.font('Helvetica-Bold').fontSize(11).text('Bill to', 50, detailsY);
+    doc.text(`${client.first_name} ${client.last_name} (${client.client_code})`);
+    doc.font('Helvetica').fontSize(10);
+    [client.address, [client.city, client.department].filter(Boolean).join(', '), client.email, client.phone]
+        .filter(Boolean)
+        .forEach(line => doc.text(line));
+    const clientBottom = doc.y;
+
+    doc.y = detailsY;
+    [
+        ['Invoice date', formatDate(invoice.invoice_date)],
+        ['Due date', formatDate(invoice.due_date)],
+        ['Billing period', invoice.billing_period]
+    ].forEach(([label, value]) => {
+        const y = doc.y;
+        doc.font('Helvetica-Bold').fontSize(10).text(label, 330, y, { width: 125 });
+        doc.font('Helvetica').text(value, 455, y, { width: 100, align: 'right' });
+        doc.y = y + 16;
+    });
+    doc.x = 50;
+    doc.y = Math.max(clientBottom, doc.y);
+
+    // Amounts
+    doc.moveDown(2);
+    if (invoice.description) {
+        doc.font('Helvetica').fontSize(10).text(invoice.description, 50);
+        doc.moveDown();
+    }
+    drawTotal('Total amount', invoice.total_amount, true);
+    drawTotal('Paid', invoice.paid_amount);
+    drawTotal('Pending balance', invoice.pending_amount, true);
+
+    // Payment history, oldest first
+    doc.moveDown(2);
+    doc.font('Helvetica-Bold').fontSize(11).text('Payment history', 50);
+    doc.moveDown(0.5);
+    if (transactions.length === 0) {
+        doc.font('Helvetica').fontSize(9).text('No payments recorded for this invoice.');
+    } else {
+        drawRow(columns.map(column => column.label), { bold: true });
+        [...transactions]
+            .sort((a, b) => toDate(a.transaction_date) - toDate(b.transaction_date))
+            .forEach(transaction => {
+                drawRow([
+                    formatDateTime(transaction.transaction_date),
+                    transaction.transaction_reference,
+                    transaction.platform_name,
+                    transaction.transaction_type,
+                    transaction.status,
+                    formatAmount(transaction.amount)
+                ]);
+            });
+    }
+
+    doc.moveDown();
+    doc.font('Helvetica').fontSize(8).fillColor('#6c757d')
+        .text(`Generated on ${formatDate(new Date())}`, 50);
+
+    doc.end();
+}
+
+module.exports = {
+    renderInvoicePdf
+};
@@ -0,0 +1,114 @@
+const { executeQuery } = require('../config/database');
+const Invoice = require('../models/Invoice');
+
+// Hour of the day (server local time) at which the daily sweep runs
+const SWEEP_HOUR = parseInt(process.env.OVERDUE_SWEEP_HOUR || '1');
+
+let sweepTimer = null;
+let lastSweep = null;
+
+// Flip past-due invoices to OVERDUE and record the run in overdue_sweeps
+async function runOverdueSweep(triggerSource = 'SCHEDULER') {
+    const startedAt = new Date();
+    const result = await Invoice.markOverdue();
+    const finishedAt = new Date();
+
+    const sweep = {
+        started_at: startedAt,
+        finished_at: finishedAt,
+        invoices_updated: result.success ? result.data.affectedRows : 0,
+        trigger_source: triggerSource,
+        error: result.success ? null : result.error
+    };
+
+    const logResult = await executeQuery(
+        `INSERT INTO overdue_sweeps
+        (started_at, finished_at, invoices_updated, trigger_source, error_message)
+        VALUES (?, ?, ?, ?, ?)`,
+        [sweep.started_at, sweep.finished_at, sweep.invoices_updated, sweep.trigger_source, sweep.error]
+    );
+
+    if (logResult.success) {
+        sweep.sweep_id = logResult.data.insertId;
+    }
+
+    if (sweep.error) {
+        console.error('❌ Overdue sweep failed:', sweep.error);
+    } else {
+        console.log(`🕐 Overdue sweep: ${sweep.invoices_updated} invoice(s) marked as OVERDUE`);
+    }
+
+    lastSweep = sweep;
+    return sweep;
+}
+
+// Get the most recent sweeps
+async function getSweepHistory(limit = 30) {
+    const query = `
+        SELECT
+            sweep_id,
+            started_at,
+            finished_at,
+            invoices_updated,
+            trigger_source,
+            error_message
+        FROM overdue_sweeps
+        ORDER BY started_at DESC
+        LIMIT ${parseInt(limit)}
+    `;
+    return await executeQuery(query);
+}
+
+// Milliseconds until the next SWEEP_HOUR:00
+function msUntilNextSweep(now = new Date()) {
+    const next = new Date(now);
+    next.setHours(SWEEP_HOUR, 0, 0, 0);
+    if (next <= now) {
+        next.setDate(next.getDate() + 1);
+    }
+    return next - now;
+}
+
+function scheduleNextSweep() {
+    sweepTimer = setTimeout(async () => {
+        try {
+            await runOverdueSweep();
+        } catch (error) {
+            console.error('❌ Overdue sweep failed:', error);
+        }
+        scheduleNextSweep();
+    }, msUntilNextSweep());
+
+    // Do not keep the process alive just for the scheduler
+    sweepTimer.unref();
+}
+
+// Start the daily scheduler; runs once immediately to catch up after downtime
+function startOverdueScheduler() {
+    if (sweepTimer) {
+        return;
+    }
+
+    runOverdueSweep().catch(error => console.error('❌ Overdue sweep failed:', error));
+    scheduleNextSweep();
+    console.log(`🕐 Overdue sweep scheduled daily at ${String(SWEEP_HOUR).padStart(2, '0')}:00`);
+}
+
+function stopOverdueScheduler() {
+    if (sweepTimer) {
+        clearTimeout(sweepTimer);
+        sweepTimer = null;
+    }
+}
+
+function getLastSweep() {
+    return lastSweep;
+}
+
+module.exports = {
+    runOverdueSweep,
+    getSweepHistory,
+    startOverdueScheduler,
+    stopOverdueScheduler,
+    getLastSweep
+};
@@ -0,0 +1,159 @@
+const ExcelJS = require('exceljs');
+const { toCsvLine } = require('./csv');
+
+const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Excel number formats by column type
+const NUMBER_FORMATS = {
+    currency: '"$"#,##0.00',
+    integer: '#,##0',
+    date: 'yyyy-mm-dd',
+    datetime: 'yyyy-mm-dd hh:mm:ss'
+};
+
+const pad = number => String(number).padStart(2, '0');
+
+// DB dates come back as local-time Date objects (or strings from other drivers)
+function toDate(value) {
+    if (value instanceof Date) {
+        return value;
+    }
+    const text = String(value);
+    return new Date(text.length === 10 ? `${text}T00:00:00` : text.replace(' ', 'T'));
+}
+
+// Text of a value in a CSV export: plain numbers (no symbols) so spreadsheets can sum them
+function csvValue(value, type) {
+    if (value === null || value === undefined || value === '') {
+        return '';
+    }
+    switch (type) {
+        case 'currency':
+            return Number(value).toFixed(2);
+        case 'date': {
+            const date = toDate(value);
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        }
+        case 'datetime': {
+            const date = toDate(value);
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+                `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+        }
+        default:
+            return value;
+    }
+}
+
+// Value of a cell in an Excel export. Excel dates carry no time zone and ExcelJS writes
+// them as UTC, so the local wall-clock time is moved to UTC before writing.
+function cellValue(value, type) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    switch (type) {
+        case 'currency':
+        case 'integer':
+            return Number(value);
+        case 'date':
+        case 'datetime': {
+            const date = toDate(value);
+            return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+                date.getHours(), date.getMinutes(), date.getSeconds()));
+        }
+        default:
+            return value;
+    }
+}
+
+// Render a report as CSV: a header line with the column labels and one line per row
+function renderReportCsv(report) {
+    return toCsvLine(report.columns.map(column => column.header)) +
+        report.rows.map(row => toCsvLine(report.columns.map(column => csvValue(row[column.key], column.type)))).join('');
+}
+
+// Add a table (header row plus data rows) to a worksheet, starting at its next free row
+function addTable(worksheet, columns, rows) {
+    const header = worksheet.addRow(columns.map(column => column.header));
+    header.font = { bold: true };
+    header.eachCell(cell => {
+        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE9ECEF' } };
+    });
+
+    rows.forEach(data => {
+        const row = worksheet.addRow(columns.map(column => cellValue(data[column.key], column.type)));
+        columns.forEach((column, index) => {
+            if (NUMBER_FORMATS[column.type]) {
+                row.getCell(index + 1).numFmt = NUMBER_FORMATS[column.type];
+            }
+        });
+    });
+}
+
+// Write a report as an .xlsx workbook to the given stream: a data sheet with the rows and
+// a Summary sheet with the filters, the summary figures and the optional breakdown table.
+// report: { title, sheet, columns: [{ key, header, type, width }], rows, filters: [{ label, value }],
+// summary: [{ label, value, type }], breakdown: { title, columns, rows } }
+async function writeReportWorkbook(report, stream) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'ExpertSoft';
+    workbook.created = new Date();
+
+    const dataSheet = workbook.addWorksheet(report.sheet, {
+        views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    dataSheet.columns = report.columns.map(column => ({ width: column.width || 16 }));
+    addTable(dataSheet, report.columns, report.rows);
+    dataSheet.autoFilter = {
+        from: { row: 1, column: 1 },
+        to: { row: 1, column: report.columns.length }
+    };
+
+    const summarySheet = workbook.addWorksheet('Summary');
+    summarySheet.columns = [{ width: 32 }, { width: 20 }, { width: 16 }, { width: 16 }, { width: 16 }, { width: 16 }];
+    summarySheet.addRow([report.title]).font = { bold: true, size: 14 };
+    summarySheet.addRow(['Generated on', cellValue(new Date(), 'datetime')]).getCell(2).numFmt = NUMBER_FORMATS.datetime;
+    (report.filters || []).forEach(filter => {
+        summarySheet.addRow([filter.label, filter.value]);
+    });
+    summarySheet.addRow([]);
+    report.summary.forEach(item => {
+        const row = summarySheet.addRow([item.label, cellValue(item.value, item.type)]);
+        if (NUMBER_FORMATS[item.type]) {
+            row.getCell(2).numFmt = NUMBER_FORMATS[item.type];
+        }
+    });
+
+    if (report.breakdown) {
+        summarySheet.addRow([]);
+        summarySheet.addRow([report.breakdown.title]).font = { bold: true };
+        addTable(summarySheet, report.breakdown.columns, report.breakdown.rows);
+    }
+
+    await workbook.xlsx.write(stream);
+}
+
+// Send a report as a CSV or .xlsx download named <name>-<YYYY-MM-DD>.<format>
+async function sendReportExport(res, report, format) {
+    const today = new Date();
+    const fileName = `${report.name}-${today.getFullYear()}-${pad(today.getMonth() + 1)}-${pad(today.getDate())}.${format}`;
+
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'csv') {
+        return res.send(renderReportCsv(report));
+    }
+
+    await writeReportWorkbook(report, res);
+    res.end();
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    sendReportExport
+};
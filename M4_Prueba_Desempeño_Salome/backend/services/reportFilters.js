@@ -0,0 +1,221 @@
+const { query, validationResult } = require('express-validator');
+const Invoice = require('../models/Invoice');
+const Transaction = require('../models/Transaction');
+
+// Filters shared by every report, with the label used when they are listed in exports
+const FILTER_LABELS = {
+    from: 'From',
+    to: 'To',
+    billing_period: 'Billing period',
+    city: 'City',
+    department: 'Department',
+    client_code: 'Client code',
+    invoice_status: 'Invoice status',
+    transaction_status: 'Transaction status',
+    transaction_type: 'Transaction type',
+    platform: 'Platform',
+    min_amount: 'Minimum amount',
+    max_amount: 'Maximum amount'
+};
+
+// Validation rules for the report filters
+function getReportFilterRules() {
+    return [
+        query('from')
+            .optional()
+            .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+            .withMessage('From date must be a valid date (YYYY-MM-DD)'),
+
+        query('to')
+            .optional()
+            .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+            .withMessage('To date must be a valid date (YYYY-MM-DD)')
+            .custom((value, { req }) => !req.query.from || value >= req.query.from)
+            .withMessage('To date cannot be earlier than from date'),
+
+        query('billing_period')
+            .optional()
+            .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+            .withMessage('Billing period must be in YYYY-MM format'),
+
+        query('city')
+            .optional()
+            .isLength({ max: 100 })
+            .withMessage('City must not exceed 100 characters'),
+
+        query('department')
+            .optional()
+            .isLength({ max: 100 })
+            .withMessage('Department must not exceed 100 characters'),
+
+        query('client_code')
+            .optional()
+            .isLength({ max: 20 })
+            .withMessage('Client code must not exceed 20 characters'),
+
+        query('invoice_status')
+            .optional()
+            .isIn(Invoice.STATUSES)
+            .withMessage(`Invoice status must be one of: ${Invoice.STATUSES.join(', ')}`),
+
+        query('transaction_status')
+            .optional()
+            .isIn(Transaction.STATUSES)
+            .withMessage(`Transaction status must be one of: ${Transaction.STATUSES.join(', ')}`),
+
+        query('transaction_type')
+            .optional()
+            .isIn(Transaction.TYPES)
+            .withMessage(`Transaction type must be one of: ${Transaction.TYPES.join(', ')}`),
+
+        query('platform')
+            .optional()
+            .isLength({ max: 100 })
+            .withMessage('Platform must not exceed 100 characters'),
+
+        query('min_amount')
+            .optional()
+            .isFloat()
+            .withMessage('Minimum amount must be a number')
+            .toFloat(),
+
+        query('max_amount')
+            .optional()
+            .isFloat()
+            .withMessage('Maximum amount must be a number')
+            .toFloat()
+            .custom((value, { req }) => req.query.min_amount === undefined || value >= req.query.min_amount)
+            .withMessage('Maximum amount cannot be lower than minimum amount')
+    ];
+}
+
+// Check validation results
+function checkReportFilters(req) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return {
+            success: false,
+            errors: errors.array().map(error => ({
+                field: error.path,
+                message: error.msg
+            }))
+        };
+    }
+    return { success: true };
+}
+
+// The filters given in the request (empty values are ignored)
+function getReportFilters(req) {
+    const filters = {};
+    Object.keys(FILTER_LABELS).forEach(filter => {
+        if (req.query[filter] !== undefined && req.query[filter] !== '') {
+            filters[filter] = req.query[filter];
+        }
+    });
+    return filters;
+}
+
+// Filters as { label, value } pairs for the Summary sheet of exports
+function describeReportFilters(filters) {
+    return Object.keys(filters).map(filter => ({ label: FILTER_LABELS[filter], value: filters[filter] }));
+}
+
+// Turn a list of [condition, value] pairs into SQL to append after a WHERE or ON clause
+function toSql(conditions) {
+    return {
+        sql: conditions.map(([condition]) => ` AND ${condition}`).join(''),
+        params: conditions.map(([, value]) => value)
+    };
+}
+
+// Date and amount range conditions on the given columns
+function rangeConditions(filters, dateColumn, amountColumn) {
+    const conditions = [];
+    if (filters.from) {
+        conditions.push([`${dateColumn} >= ?`, `${filters.from} 00:00:00`]);
+    }
+    if (filters.to) {
+        conditions.push([`${dateColumn} <= ?`, `${filters.to} 23:59:59`]);
+    }
+    if (filters.min_amount !== undefined) {
+        conditions.push([`${amountColumn} >= ?`, filters.min_amount]);
+    }
+    if (filters.max_amount !== undefined) {
+        conditions.push([`${amountColumn} <= ?`, filters.max_amount]);
+    }
+    return conditions;
+}
+
+// Conditions of the client filters on the clients table with the given alias
+function clientConditions(filters, alias = 'c') {
+    const conditions = [];
+    if (filters.city) {
+        conditions.push([`${alias}.city = ?`, filters.city]);
+    }
+    if (filters.department) {
+        conditions.push([`${alias}.department = ?`, filters.department]);
+    }
+    if (filters.client_code) {
+        conditions.push([`${alias}.client_code = ?`, filters.client_code]);
+    }
+    return toSql(conditions);
+}
+
+// Conditions of the invoice filters on the invoices table with the given alias. With
+// options.ranges the date range applies to the invoice date and the amount range to its total.
+function invoiceConditions(filters, alias = 'i', options = {}) {
+    const conditions = [];
+    if (filters.billing_period) {
+        conditions.push([`${alias}.billing_period = ?`, filters.billing_period]);
+    }
+    if (filters.invoice_status) {
+        conditions.push([`${alias}.status = ?`, filters.invoice_status]);
+    }
+    if (options.ranges) {
+        conditions.push(...rangeConditions(filters, `${alias}.invoice_date`, `${alias}.total_amount`));
+    }
+    return toSql(conditions);
+}
+
+// Conditions of the transaction filters on the transactions table with the given alias. With
+// options.ranges the date range applies to the transaction date and the amount range to its amount.
+function transactionConditions(filters, alias = 't', options = {}) {
+    const conditions = [];
+    if (filters.transaction_status) {
+        conditions.push([`${alias}.status = ?`, filters.transaction_status]);
+    }
+    if (filters.transaction_type) {
+        conditions.push([`${alias}.transaction_type = ?`, filters.transaction_type]);
+    }
+    if (filters.platform) {
+        conditions.push([`${alias}.platform_id IN (SELECT platform_id FROM platforms WHERE platform_name = ?)`, filters.platform]);
+    }
+    if (options.ranges) {
+        conditions.push(...rangeConditions(filters, `${alias}.transaction_date`, `${alias}.amount`));
+    }
+    return toSql(conditions);
+}
+
+// For invoice-level reports: keep only invoices (alias) with at least one transaction
+// matching the transaction filters
+function invoiceTransactionConditions(filters, alias = 'i') {
+    const transactions = transactionConditions(filters, 'tf');
+    if (!transactions.sql) {
+        return transactions;
+    }
+    return {
+        sql: ` AND EXISTS (SELECT 1 FROM transactions tf WHERE tf.invoice_id = ${alias}.invoice_id${transactions.sql})`,
+        params: transactions.params
+    };
+}
+
+module.exports = {
+    getReportFilterRules,
+    checkReportFilters,
+    getReportFilters,
+    describeReportFilters,
+    clientConditions,
+    invoiceConditions,
+    transactionConditions,
+    invoiceTransactionConditions
+};
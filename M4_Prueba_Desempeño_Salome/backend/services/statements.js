@@ -0,0 +1,298 @@
+const PDFDocument = require('pdfkit');
+
+const COMPANY_NAME = 'ExpertSoft';
+const COMPANY_TAGLINE = 'Electrical Sector Solutions';
+
+// Convert a DB value (Date or string) to a Date, treating bare dates as local midnight
+function toDate(value) {
+    if (value instanceof Date) {
+        return value;
+    }
+    const text = String(value);
+    return new Date(text.length === 10 ? `${text}T00:00:00` : text.replace(' ', 'T'));
+}
+
+// Format a date as YYYY-MM-DD (local time)
+function formatDate(value) {
+    const date = toDate(value);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Format an amount as currency
+function formatAmount(amount) {
+    return '$' + Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// Escape text for HTML output
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Convert invoices and completed transactions into dated ledger movements.
+// Invoices are charges; payments and positive adjustments are credits; refunds and
+// negative adjustments are charges. Cancelled invoices are left out.
+function buildMovements(invoices, transactions) {
+    const movements = [];
+
+    invoices
+        .filter(invoice => invoice.status !== 'CANCELLED')
+        .forEach(invoice => {
+            movements.push({
+                date: toDate(invoice.invoice_date),
+                order: 0,
+                type: 'INVOICE',
+                reference: invoice.invoice_number,
+                description: `Invoice ${invoice.invoice_number} - billing period ${invoice.billing_period}`,
+                charge: parseFloat(invoice.total_amount),
+                credit: 0
+            });
+        });
+
+    transactions
+        .filter(transaction => transaction.status === 'COMPLETED')
+        .forEach(transaction => {
+            const amount = parseFloat(transaction.amount);
+            const isCharge = transaction.transaction_type === 'REFUND' ||
+                (transaction.transaction_type === 'ADJUSTMENT' && amount < 0);
+
+            movements.push({
+                date: toDate(transaction.transaction_date),
+                order: 1,
+                type: transaction.transaction_type,
+                reference: transaction.transaction_reference,
+                description: `${transaction.transaction_type} via ${transaction.platform_name} for invoice ${transaction.invoice_number}`,
+                charge: isCharge ? Math.abs(amount) : 0,
+                credit: isCharge ? 0 : Math.abs(amount)
+            });
+        });
+
+    return movements.sort((a, b) => (a.date - b.date) || (a.order - b.order));
+}
+
+// Build the account statement of a client for the period [from, to] (YYYY-MM-DD)
+function buildStatement(client, invoices, transactions, from, to) {
+    const periodStart = new Date(`${from}T00:00:00`);
+    const periodEnd = new Date(`${to}T23:59:59.999`);
+    const movements = buildMovements(invoices, transactions);
+
+    let openingBalance = 0;
+    movements
+        .filter(movement => movement.date < periodStart)
+        .forEach(movement => { openingBalance += movement.charge - movement.credit; });
+
+    let balance = openingBalance;
+    let totalCharges = 0;
+    let totalCredits = 0;
+    const entries = movements
+        .filter(movement => movement.date >= periodStart && movement.date <= periodEnd)
+        .map(movement => {
+            balance += movement.charge - movement.credit;
+            totalCharges += movement.charge;
+            totalCredits += movement.credit;
+
+            return {
+                date: formatDate(movement.date),
+                type: movement.type,
+                reference: movement.reference,
+                description: movement.description,
+                charge: movement.charge,
+                credit: movement.credit,
+                balance: balance
+            };
+        });
+
+    return {
+        client: client,
+        period: { from, to },
+        generated_at: new Date().toISOString(),
+        opening_balance: openingBalance,
+        entries: entries,
+        total_charges: totalCharges,
+        total_credits: totalCredits,
+        closing_balance: balance
+    };
+}
+
+// Render the statement as a print-ready HTML page
+function renderStatementHtml(statement) {
+    const client = statement.client;
+    const rows = statement.entries.map(entry => `
+                <tr>
+                    <td>${escapeHtml(entry.date)}</td>
+                    <td>${escapeHtml(entry.type)}</td>
+                    <td>${escapeHtml(entry.reference)}</td>
+                    <td>${escapeHtml(entry.description)}</td>
+                    <td class="amount">${entry.charge ? formatAmount(entry.charge) : ''}</td>
+                    <td class="amount">${entry.credit ? formatAmount(entry.credit) : ''}</td>
+                    <td class="amount">${formatAmount(entry.balance)}</td>
+                </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Account Statement ${escapeHtml(client.client_code)} ${escapeHtml(statement.period.from)} - ${escapeHtml(statement.period.to)}</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #333; margin: 2rem; }
+        header { display: flex; justify-content: space-between; border-bottom: 2px solid #cd0dfd; padding-bottom: 1rem; }
+        h1 { margin: 0; color: #cd0dfd; }
+        h2 { margin: 0; }
+        .muted { color: #6c757d; }
+        .client { margin: 1.5rem 0; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+        th, td { padding: 0.4rem 0.5rem; border-bottom: 1px solid #dee2e6; text-align: left; }
+        th { background-color: #f8f9fa; }
+        .amount { text-align: right; white-space: nowrap; }
+        .totals td { font-weight: 600; }
+        .print-button { margin-top: 1.5rem; }
+        @media print {
+            body { margin: 0; }
+            .print-button { display: none; }
+        }
+    </style>
+</head>
+<body>
+    <header>
+        <div>
+            <h1>${COMPANY_NAME}</h1>
+            <div class="muted">${COMPANY_TAGLINE}</div>
+        </div>
+        <div class="amount">
+            <h2>Account Statement</h2>
+            <div>${escapeHtml(statement.period.from)} to ${escapeHtml(statement.period.to)}</div>
+        </div>
+    </header>
+
+    <section class="client">
+        <strong>${escapeHtml(client.first_name)} ${escapeHtml(client.last_name)}</strong> (${escapeHtml(client.client_code)})<br>
+        ${escapeHtml(client.address)}<br>
+        ${escapeHtml(client.city)}${client.department ? ', ' + escapeHtml(client.department) : ''}<br>
+        ${escapeHtml(client.email)}
+    </section>
+
+    <table>
+        <thead>
+            <tr>
+                <th>Date</th>
+                <th>Type</th>
+                <th>Reference</th>
+                <th>Description</th>
+                <th class="amount">Charges</th>
+                <th class="amount">Credits</th>
+                <th class="amount">Balance</th>
+            </tr>
+        </thead>
+        <tbody>
+                <tr>
+                    <td colspan="6"><strong>Opening balance</strong></td>
+                    <td class="amount"><strong>${formatAmount(statement.opening_balance)}</strong></td>
+                </tr>${rows}
+                <tr class="totals">
+                    <td colspan="4">Closing balance</td>
+                    <td class="amount">${formatAmount(statement.total_charges)}</td>
+                    <td class="amount">${formatAmount(statement.total_credits)}</td>
+                    <td class="amount">${formatAmount(statement.closing_balance)}</td>
+                </tr>
+        </tbody>
+    </table>
+
+    <p class="muted">Generated on ${escapeHtml(formatDate(statement.generated_at))}</p>
+    <button class="print-button" onclick="window.print()">Print</button>
+</body>
+</html>
+`;
+}
+
+// Render the statement as a PDF written to the given stream
+function renderStatementPdf(statement, stream) {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+    const client = statement.client;
+    const columns = [
+        { label: 'Date', x: 50, width: 65 },
+        { label: 'Type', x: 115, width: 70 },
+        { label: 'Reference', x: 185, width: 90 },
+        { label: 'Charges', x: 275, width: 90, align: 'right' },
+        { label: 'Credits', x: 365, width: 90, align: 'right' },
+        { label: 'Balance', x: 455, width: 100, align: 'right' }
+    ];
+
+    const drawRow = (values, options = {}) => {
+        if (doc.y > doc.page.height - 80) {
+            doc.addPage();
+        }
+        const y = doc.y;
+        doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        columns.forEach((column, index) => {
+            // Left-aligned cells may overflow into the (empty) next column instead of wrapping
+            const options = column.align ? { width: column.width, align: column.align } : { lineBreak: false };
+            doc.text(values[index] || '', column.x, y, options);
+        });
+        doc.x = 50;
+        doc.y = y + 16;
+    };
+
+    doc.pipe(stream);
+
+    // Header
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#cd0dfd').text(COMPANY_NAME, 50, 50);
+    doc.font('Helvetica').fontSize(10).fillColor('#6c757d').text(COMPANY_TAGLINE);
+    doc.font('Helvetica-Bold').fontSize(14).fillColor('#333333')
+        .text('Account Statement', 50, 50, { align: 'right' });
+    doc.font('Helvetica').fontSize(10)
+        .text(`${statement.period.from} to ${statement.period.to}`, { align: 'right' });
+
+    // Client
+    doc.moveDown(2);
+    doc.font('Helvetica-Bold').fontSize(11).text(`${client.first_name} ${client.last_name} (${client.client_code})`, 50);
+    doc.font('Helvetica').fontSize(10);
+    [client.address, [client.city, client.department].filter(Boolean).join(', '), client.email]
+        .filter(Boolean)
+        .forEach(line => doc.text(line));
+    doc.moveDown();
+
+    // Movements
+    drawRow(columns.map(column => column.label), { bold: true });
+    drawRow(['', 'Opening balance', '', '', '', formatAmount(statement.opening_balance)], { bold: true });
+    statement.entries.forEach(entry => {
+        drawRow([
+            entry.date,
+            entry.type,
+            entry.reference,
+            entry.charge ? formatAmount(entry.charge) : '',
+            entry.credit ? formatAmount(entry.credit) : '',
+            formatAmount(entry.balance)
+        ]);
+    });
+    drawRow([
+        '',
+        'Closing balance',
+        '',
+        formatAmount(statement.total_charges),
+        formatAmount(statement.total_credits),
+        formatAmount(statement.closing_balance)
+    ], { bold: true });
+
+    doc.moveDown();
+    doc.font('Helvetica').fontSize(8).fillColor('#6c757d')
+        .text(`Generated on ${formatDate(statement.generated_at)}`, 50);
+
+    doc.end();
+}
+
+module.exports = {
+    COMPANY_NAME,
+    COMPANY_TAGLINE,
+    toDate,
+    formatDate,
+    formatAmount,
+    buildStatement,
+    renderStatementHtml,
+    renderStatementPdf
+};
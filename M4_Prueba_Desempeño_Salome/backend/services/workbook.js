@@ -0,0 +1,91 @@
+const ExcelJS = require('exceljs');
+
+// Convert a cell value to the text a CSV export of the sheet would contain
+function cellToText(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        // Excel dates carry no time zone; ExcelJS returns them as UTC
+        const iso = value.toISOString();
+        const date = iso.slice(0, 10);
+        const time = iso.slice(11, 19);
+        return time === '00:00:00' ? date : `${date} ${time}`;
+    }
+    if (typeof value === 'object') {
+        if (value.richText) {
+            return value.richText.map(part => part.text).join('');
+        }
+        if (value.formula || value.sharedFormula) {
+            return cellToText(value.result);
+        }
+        if (value.text !== undefined) {
+            return cellToText(value.text);
+        }
+        // Error cells (#N/A, #DIV/0!, ...) are treated as empty
+        return '';
+    }
+    return String(value);
+}
+
+// Load a workbook and pick a sheet by name (the first sheet when no name is given).
+// Fails with sheetNotFound: true and the available sheet names when it does not exist.
+async function loadSheet(filePath, sheetName = null) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+
+    const worksheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+    if (!worksheet) {
+        const sheets = workbook.worksheets.map(sheet => sheet.name);
+        const error = new Error(sheetName
+            ? `Sheet '${sheetName}' not found in workbook (available: ${sheets.join(', ')})`
+            : 'Workbook has no sheets');
+        error.sheetNotFound = true;
+        error.sheets = sheets;
+        throw error;
+    }
+
+    return worksheet;
+}
+
+// Read a sheet into the same row objects csv-parser produces for a CSV file. The first
+// non-empty row holds the headers; every row after it is kept (blank ones included) so
+// that data row i is sheet row first_row + i.
+async function readWorkbookRows(filePath, sheetName = null) {
+    const worksheet = await loadSheet(filePath, sheetName);
+
+    let headerRow = null;
+    worksheet.eachRow((row, rowNumber) => {
+        if (headerRow === null) {
+            headerRow = rowNumber;
+        }
+    });
+
+    const rows = [];
+    if (headerRow === null) {
+        return { sheet: worksheet.name, first_row: 2, rows };
+    }
+
+    const headers = [];
+    worksheet.getRow(headerRow).eachCell((cell, columnNumber) => {
+        headers[columnNumber] = cellToText(cell.value).trim();
+    });
+
+    for (let rowNumber = headerRow + 1; rowNumber <= worksheet.rowCount; rowNumber++) {
+        const row = worksheet.getRow(rowNumber);
+        const record = {};
+        headers.forEach((header, columnNumber) => {
+            if (header) {
+                record[header] = cellToText(row.getCell(columnNumber).value);
+            }
+        });
+        rows.push(record);
+    }
+
+    return { sheet: worksheet.name, first_row: headerRow + 1, rows };
+}
+
+module.exports = {
+    loadSheet,
+    readWorkbookRows
+};
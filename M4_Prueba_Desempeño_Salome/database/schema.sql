@@ -7,21 +7,69 @@ CREATE DATABASE IF NOT EXISTS pd_salome_gonzalez_lovelace ;
 USE pd_salome_gonzalez_lovelace ;
 
 -- Drop tables if they exist (for clean setup)
+DROP TABLE IF EXISTS import_batch_changes;
+DROP TABLE IF EXISTS overdue_sweeps;
 DROP TABLE IF EXISTS transactions;
 DROP TABLE IF EXISTS invoices;
 DROP TABLE IF EXISTS clients;
+DROP TABLE IF EXISTS import_batches;
+DROP TABLE IF EXISTS import_mapping_profiles;
 DROP TABLE IF EXISTS platforms;
 
 -- Create platforms table
 CREATE TABLE platforms (
     platform_id INT PRIMARY KEY AUTO_INCREMENT,
     platform_name VARCHAR(50) NOT NULL UNIQUE,
-    platform_type VARCHAR(30) NOT NULL,
+    platform_type ENUM('BANK', 'DIGITAL_WALLET', 'CASH', 'CARD') NOT NULL,
     is_active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
+-- Create import mapping profiles table (source headers and value formats of a CSV layout)
+CREATE TABLE import_mapping_profiles (
+    profile_id INT PRIMARY KEY AUTO_INCREMENT,
+    profile_name VARCHAR(100) NOT NULL UNIQUE,
+    description VARCHAR(500),
+    column_mapping JSON NOT NULL,
+    transforms JSON,
+    default_values JSON,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Create import batches table (one row per data-loader import)
+CREATE TABLE import_batches (
+    batch_id INT PRIMARY KEY AUTO_INCREMENT,
+    file_name VARCHAR(255) NOT NULL,
+    file_checksum CHAR(64) NOT NULL,
+    uploaded_by VARCHAR(100),
+    mapping_profile_id INT,
+    conflict_policies JSON,
+    source ENUM('UPLOAD', 'SAMPLE') DEFAULT 'UPLOAD',
+    status ENUM('RUNNING', 'COMPLETED', 'PARTIAL', 'ROLLED_BACK', 'FAILED', 'REVERTED') DEFAULT 'RUNNING',
+    rows_total INT DEFAULT 0,
+    clients_created INT DEFAULT 0,
+    clients_updated INT DEFAULT 0,
+    clients_skipped INT DEFAULT 0,
+    invoices_created INT DEFAULT 0,
+    invoices_updated INT DEFAULT 0,
+    invoices_skipped INT DEFAULT 0,
+    transactions_created INT DEFAULT 0,
+    transactions_updated INT DEFAULT 0,
+    transactions_skipped INT DEFAULT 0,
+    errors_count INT DEFAULT 0,
+    errors JSON,
+    warnings_count INT DEFAULT 0,
+    warnings JSON,
+    rows_failed INT DEFAULT 0,
+    failed_rows JSON,
+    started_at DATETIME NOT NULL,
+    finished_at DATETIME,
+    reverted_at DATETIME,
+    FOREIGN KEY (mapping_profile_id) REFERENCES import_mapping_profiles(profile_id) ON DELETE SET NULL
+);
+
 -- Create clients table
 CREATE TABLE clients (
     client_id INT PRIMARY KEY AUTO_INCREMENT,
@@ -34,8 +82,10 @@ CREATE TABLE clients (
     city VARCHAR(100),
     department VARCHAR(100),
     is_active BOOLEAN DEFAULT TRUE,
+    import_batch_id INT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (import_batch_id) REFERENCES import_batches(batch_id) ON DELETE SET NULL
 );
 
 -- Create invoices table
@@ -44,13 +94,17 @@ CREATE TABLE invoices (
     invoice_number VARCHAR(50) NOT NULL UNIQUE,
     client_id INT NOT NULL,
     billing_period VARCHAR(20) NOT NULL,
+    invoice_date DATE NOT NULL,
+    due_date DATE NOT NULL,
     total_amount DECIMAL(15,2) NOT NULL,
     paid_amount DECIMAL(15,2) DEFAULT 0.00,
-    status ENUM('PENDING', 'PARTIAL', 'PAID', 'OVERDUE') DEFAULT 'PENDING',
+    status ENUM('PENDING', 'PARTIAL', 'PAID', 'OVERDUE', 'CANCELLED') DEFAULT 'PENDING',
     description TEXT,
+    import_batch_id INT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-    FOREIGN KEY (client_id) REFERENCES clients(client_id) ON DELETE CASCADE
+    FOREIGN KEY (client_id) REFERENCES clients(client_id) ON DELETE CASCADE,
+    FOREIGN KEY (import_batch_id) REFERENCES import_batches(batch_id) ON DELETE SET NULL
 );
 
 -- Create transactions table
@@ -64,10 +118,35 @@ CREATE TABLE transactions (
     transaction_type ENUM('PAYMENT', 'REFUND', 'ADJUSTMENT') DEFAULT 'PAYMENT',
     status ENUM('PENDING', 'COMPLETED', 'FAILED', 'CANCELLED') DEFAULT 'PENDING',
     description TEXT,
+    import_batch_id INT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (invoice_id) REFERENCES invoices(invoice_id) ON DELETE CASCADE,
-    FOREIGN KEY (platform_id) REFERENCES platforms(platform_id) ON DELETE CASCADE
+    FOREIGN KEY (platform_id) REFERENCES platforms(platform_id) ON DELETE CASCADE,
+    FOREIGN KEY (import_batch_id) REFERENCES import_batches(batch_id) ON DELETE SET NULL
+);
+
+-- Create import batch changes table (how each import found every row it wrote, used to revert it,
+-- and what it left in that row, used to detect later edits)
+CREATE TABLE import_batch_changes (
+    change_id INT PRIMARY KEY AUTO_INCREMENT,
+    batch_id INT NOT NULL,
+    entity_type ENUM('CLIENT', 'INVOICE', 'TRANSACTION') NOT NULL,
+    entity_id INT NOT NULL,
+    action ENUM('CREATED', 'UPDATED') NOT NULL,
+    previous_values JSON,
+    written_values JSON,
+    FOREIGN KEY (batch_id) REFERENCES import_batches(batch_id) ON DELETE CASCADE
+);
+
+-- Create overdue sweeps log (one row per run of the daily status sweep)
+CREATE TABLE overdue_sweeps (
+    sweep_id INT PRIMARY KEY AUTO_INCREMENT,
+    started_at DATETIME NOT NULL,
+    finished_at DATETIME,
+    invoices_updated INT DEFAULT 0,
+    trigger_source ENUM('SCHEDULER', 'MANUAL') DEFAULT 'SCHEDULER',
+    error_message TEXT
 );
 
 -- Insert default platforms
@@ -78,12 +157,22 @@ INSERT INTO platforms (platform_name, platform_type) VALUES
 ('Banco de Bogotá', 'BANK'),
 ('BBVA Colombia', 'BANK');
 
+-- Insert mapping profile for the layout of sample_data.csv
+INSERT INTO import_mapping_profiles (profile_name, description, column_mapping, transforms, default_values) VALUES
+('Sample data layout',
+ 'Invoices without billing period (taken from the invoice date) and generic amount/status headers',
+ '{"billing_period": "invoice_date", "transaction_amount": "amount", "transaction_status": "status"}',
+ '{"date_format": "YYYY-MM-DD", "decimal_separator": "."}',
+ '{}');
+
 -- Create indexes for better performance
 CREATE INDEX idx_client_code ON clients(client_code);
 CREATE INDEX idx_invoice_number ON invoices(invoice_number);
 CREATE INDEX idx_transaction_reference ON transactions(transaction_reference);
 CREATE INDEX idx_invoice_status ON invoices(status);
+CREATE INDEX idx_invoice_due_date ON invoices(due_date);
 CREATE INDEX idx_transaction_date ON transactions(transaction_date);
+CREATE INDEX idx_import_batch_changes_batch ON import_batch_changes(batch_id, entity_type);
 CREATE INDEX idx_platform_name ON platforms(platform_name);
 
 -- Create view for total payments per client
@@ -107,6 +196,8 @@ SELECT
     c.client_code,
     CONCAT(c.first_name, ' ', c.last_name) AS client_name,
     i.billing_period,
+    i.invoice_date,
+    i.due_date,
     i.total_amount,
     i.paid_amount,
     (i.total_amount - i.paid_amount) AS pending_amount,
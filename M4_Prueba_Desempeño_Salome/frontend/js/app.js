@@ -3,6 +3,9 @@
 // Global variables
 let currentClientId = null;
 let isEditingClient = false;
+let clientListState = { page: 1, sort: 'created_at', order: 'desc' };
+let revenueTrendChart = null;
+let geographyState = { department: null, city: null };
 const API_BASE_URL = window.location.origin + '/api';
 
 // Initialize application
@@ -153,7 +156,8 @@ function showSection(sectionName) {
             loadReports();
             break;
         case 'data-loader':
-            // No specific data to load
+            loadMappingProfiles();
+            loadImportHistory();
             break;
     }
 }
@@ -187,6 +191,8 @@ async function loadDashboardData() {
             document.getElementById('totalTransactions').textContent = transactionsData.summary.total_transactions;
         }
 
+        await loadRevenueTrend();
+
     } catch (error) {
         console.error('Error loading dashboard data:', error);
         showAlert('Failed to load dashboard data', 'danger');
@@ -201,16 +207,127 @@ function updateDashboardStats(stats) {
     document.getElementById('activeClients').textContent = stats.active_clients || 0;
 }
 
-// Load clients
-async function loadClients() {
+// Load the revenue trend and draw it on the dashboard chart
+async function loadRevenueTrend() {
+    try {
+        const query = new URLSearchParams({ interval: document.getElementById('trendInterval').value });
+        const splitBy = document.getElementById('trendSplit').value;
+        if (splitBy) {
+            query.append('split_by', splitBy);
+        }
+        
+        const response = await fetch(`${API_BASE_URL}/queries/revenue-trend?${query}`);
+        const data = await response.json();
+        
+        if (data.success) {
+            renderRevenueTrendChart(data);
+        }
+    } catch (error) {
+        console.error('Error loading revenue trend:', error);
+    }
+}
+
+// Draw invoiced, collected and net amounts with the collection rate, or the net collected
+// of each platform/department when the trend is split
+function renderRevenueTrendChart(trend) {
+    const canvas = document.getElementById('revenueTrendChart');
+    if (!canvas || typeof Chart === 'undefined') {
+        return;
+    }
+    
+    const labels = trend.data.map(point => point.period);
+    const colors = ['#0d6efd', '#198754', '#dc3545', '#ffc107', '#6f42c1', '#20c997', '#fd7e14', '#6c757d'];
+    const line = (label, values, color, extra = {}) => ({
+        label: label,
+        data: values,
+        borderColor: color,
+        backgroundColor: color,
+        tension: 0.2,
+        spanGaps: true,
+        ...extra
+    });
+    
+    let datasets;
+    if (trend.series) {
+        datasets = trend.series.map((serie, index) => {
+            const byPeriod = new Map(serie.data.map(point => [point.period, point.net]));
+            return line(serie.key || 'Unassigned', labels.map(period => byPeriod.get(period) ?? null), colors[index % colors.length]);
+        });
+    } else {
+        datasets = [
+            line('Invoiced', trend.data.map(point => point.invoiced), colors[0]),
+            line('Collected', trend.data.map(point => point.collected), colors[1]),
+            line('Net', trend.data.map(point => point.net), colors[4]),
+            line('Collection rate', trend.data.map(point => point.collection_rate === null ? null : point.collection_rate * 100),
+                colors[3], { yAxisID: 'rate', borderDash: [5, 5] })
+        ];
+    }
+    
+    if (revenueTrendChart) {
+        revenueTrendChart.destroy();
+    }
+    revenueTrendChart = new Chart(canvas, {
+        type: 'line',
+        data: { labels, datasets },
+        options: {
+            interaction: { mode: 'index', intersect: false },
+            scales: {
+                y: { beginAtZero: true, ticks: { callback: value => formatCurrency(value) } },
+                rate: {
+                    display: !trend.series,
+                    position: 'right',
+                    min: 0,
+                    grid: { drawOnChartArea: false },
+                    ticks: { callback: value => `${value}%` }
+                }
+            }
+        }
+    });
+    
+    const summary = trend.summary;
+    document.getElementById('revenueTrendSummary').textContent =
+        `Invoiced ${formatCurrency(summary.invoiced)}, collected ${formatCurrency(summary.collected)}, ` +
+        `refunds ${formatCurrency(summary.refunds)}, net ${formatCurrency(summary.net)}` +
+        (summary.collection_rate === null ? '' : ` (${(summary.collection_rate * 100).toFixed(1)}% collected)`);
+}
+
+// Load a page of clients with the filters, sort and page size of the Clients screen
+async function loadClients(page = clientListState.page) {
     try {
         showLoading(true);
         
-        const response = await fetch(`${API_BASE_URL}/clients`);
+        const query = new URLSearchParams({
+            page: page,
+            pageSize: document.getElementById('clientPageSize').value,
+            sort: clientListState.sort,
+            order: clientListState.order
+        });
+        const filters = {
+            is_active: document.getElementById('clientStatusFilter').value,
+            city: document.getElementById('clientCityFilter').value.trim(),
+            department: document.getElementById('clientDepartmentFilter').value.trim(),
+            created_from: document.getElementById('clientCreatedFrom').value,
+            created_to: document.getElementById('clientCreatedTo').value
+        };
+        Object.keys(filters).forEach(filter => {
+            if (filters[filter]) {
+                query.append(filter, filters[filter]);
+            }
+        });
+        
+        const response = await fetch(`${API_BASE_URL}/clients?${query}`);
         const data = await response.json();
         
         if (data.success) {
+            // Deleting the last client of the last page leaves it empty: go back one page
+            if (data.data.length === 0 && page > 1 && data.pagination.total > 0) {
+                return loadClients(data.pagination.total_pages);
+            }
+            clientListState.page = page;
             renderClientsTable(data.data);
+            renderClientsPagination(data.pagination);
+        } else if (data.errors) {
+            showAlert(data.errors.map(error => error.message).join('<br>'), 'danger');
         } else {
             showAlert('Failed to load clients', 'danger');
         }
@@ -244,6 +361,9 @@ function renderClientsTable(clients) {
             </td>
             <td>
                 <div class="btn-group btn-group-sm">
+                    <a class="btn btn-outline-secondary" href="${API_BASE_URL}/clients/${client.client_id}/statement?format=html" target="_blank" title="Account statement">
+                        <i class="bi bi-file-earmark-text"></i>
+                    </a>
                     <button class="btn btn-outline-primary" onclick="editClient(${client.client_id})">
                         <i class="bi bi-pencil"></i>
                     </button>
@@ -256,6 +376,64 @@ function renderClientsTable(clients) {
     `).join('');
 }
 
+// Show the position in the client list and the page links
+function renderClientsPagination(pagination) {
+    const container = document.getElementById('clientsPagination');
+    const links = document.getElementById('clientsPageLinks');
+    
+    container.classList.remove('d-none');
+    
+    const first = pagination.total === 0 ? 0 : (pagination.page - 1) * pagination.page_size + 1;
+    const last = Math.min(pagination.page * pagination.page_size, pagination.total);
+    document.getElementById('clientsPageInfo').textContent = `Showing ${first}-${last} of ${pagination.total} clients`;
+    
+    // First, last and up to two pages on each side of the current one
+    const pages = [];
+    for (let page = 1; page <= pagination.total_pages; page++) {
+        if (page === 1 || page === pagination.total_pages || Math.abs(page - pagination.page) <= 2) {
+            pages.push(page);
+        } else if (pages[pages.length - 1] !== null) {
+            pages.push(null);
+        }
+    }
+    
+    const pageLink = (page, label, disabled = false, active = false) => `
+        <li class="page-item ${disabled ? 'disabled' : ''} ${active ? 'active' : ''}">
+            <a class="page-link" href="#" onclick="event.preventDefault(); loadClients(${page})">${label}</a>
+        </li>
+    `;
+    
+    links.innerHTML = [
+        pageLink(pagination.page - 1, '&laquo;', pagination.page <= 1),
+        ...pages.map(page => page === null
+            ? '<li class="page-item disabled"><span class="page-link">&hellip;</span></li>'
+            : pageLink(page, page, false, page === pagination.page)),
+        pageLink(pagination.page + 1, '&raquo;', pagination.page >= pagination.total_pages)
+    ].join('');
+    
+    document.querySelectorAll('#clients th[data-sort]').forEach(header => {
+        const indicator = header.querySelector('.sort-indicator');
+        if (indicator) {
+            indicator.remove();
+        }
+        if (header.dataset.sort === clientListState.sort) {
+            header.insertAdjacentHTML('beforeend',
+                `<i class="bi bi-caret-${clientListState.order === 'asc' ? 'up' : 'down'}-fill ms-1 sort-indicator"></i>`);
+        }
+    });
+}
+
+// Sort the client list by a column; clicking the same column again flips the order
+function sortClients(field) {
+    if (clientListState.sort === field) {
+        clientListState.order = clientListState.order === 'asc' ? 'desc' : 'asc';
+    } else {
+        clientListState.sort = field;
+        clientListState.order = 'asc';
+    }
+    loadClients(1);
+}
+
 // Search clients
 async function searchClients() {
     const searchTerm = document.getElementById('clientSearch').value.trim();
@@ -272,6 +450,8 @@ async function searchClients() {
         const data = await response.json();
         
         if (data.success) {
+            // Search results are not paged
+            document.getElementById('clientsPagination').classList.add('d-none');
             renderClientsTable(data.data);
         } else {
             showAlert('Failed to search clients', 'danger');
@@ -439,23 +619,71 @@ async function deleteClient(clientId) {
     }
 }
 
+// Report filter inputs by query parameter, shared by every report
+const REPORT_FILTER_INPUTS = {
+    from: 'reportFrom',
+    to: 'reportTo',
+    billing_period: 'reportBillingPeriod',
+    city: 'reportCity',
+    department: 'reportDepartment',
+    client_code: 'reportClientCode',
+    invoice_status: 'reportInvoiceStatus',
+    transaction_status: 'reportTransactionStatus',
+    transaction_type: 'reportTransactionType',
+    min_amount: 'reportMinAmount',
+    max_amount: 'reportMaxAmount'
+};
+
+// Query string of the report filters that have a value
+function getReportFilterQuery() {
+    const query = new URLSearchParams();
+    
+    Object.keys(REPORT_FILTER_INPUTS).forEach(filter => {
+        const value = document.getElementById(REPORT_FILTER_INPUTS[filter]).value.trim();
+        if (value) {
+            query.append(filter, value);
+        }
+    });
+    
+    return query;
+}
+
+// Clear the report filters and reload the reports
+function resetReportFilters() {
+    Object.values(REPORT_FILTER_INPUTS).forEach(inputId => {
+        document.getElementById(inputId).value = '';
+    });
+    loadReports();
+}
+
+// Show the validation errors of a report request
+function showReportErrors(data) {
+    if (data.errors) {
+        showAlert(data.errors.map(error => error.message).join('<br>'), 'danger');
+    }
+}
+
 // Load reports
 async function loadReports() {
     await Promise.all([
         loadTotalPayments(),
         loadPendingInvoices(),
-        loadTransactionsByPlatform()
+        loadTransactionsByPlatform(),
+        loadPlatformAnalytics(),
+        loadGeography()
     ]);
 }
 
 // Load total payments
 async function loadTotalPayments() {
     try {
-        const response = await fetch(`${API_BASE_URL}/queries/total-payments`);
+        const response = await fetch(`${API_BASE_URL}/queries/total-payments?${getReportFilterQuery()}`);
         const data = await response.json();
         
         if (data.success) {
             renderPaymentsTable(data.data);
+        } else {
+            showReportErrors(data);
         }
     } catch (error) {
         console.error('Error loading total payments:', error);
@@ -487,11 +715,13 @@ function renderPaymentsTable(payments) {
 // Load pending invoices
 async function loadPendingInvoices() {
     try {
-        const response = await fetch(`${API_BASE_URL}/queries/pending-invoices`);
+        const response = await fetch(`${API_BASE_URL}/queries/pending-invoices?${getReportFilterQuery()}`);
         const data = await response.json();
         
         if (data.success) {
             renderPendingInvoicesTable(data.data);
+        } else {
+            showReportErrors(data);
         }
     } catch (error) {
         console.error('Error loading pending invoices:', error);
@@ -503,7 +733,7 @@ function renderPendingInvoicesTable(invoices) {
     const tbody = document.getElementById('pendingTableBody');
     
     if (!invoices || invoices.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="7" class="text-center">No pending invoices found</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="8" class="text-center">No pending invoices found</td></tr>';
         return;
     }
 
@@ -530,29 +760,196 @@ function renderPendingInvoicesTable(invoices) {
                 <td>$${parseFloat(invoice.paid_amount).toLocaleString()}</td>
                 <td><strong>$${parseFloat(invoice.pending_amount).toLocaleString()}</strong></td>
                 <td>${statusBadge}</td>
+                <td>
+                    <a class="btn btn-sm btn-outline-secondary" href="${API_BASE_URL}/invoices/${invoice.invoice_id}/pdf" target="_blank">
+                        <i class="bi bi-file-earmark-pdf"></i> PDF
+                    </a>
+                </td>
             </tr>
         `;
     }).join('');
 }
 
 // Load transactions by platform
-async function loadTransactionsByPlatform(platform = '') {
+async function loadTransactionsByPlatform(platform = document.getElementById('platformFilter').value) {
     try {
-        const url = platform 
-            ? `${API_BASE_URL}/queries/transactions-by-platform?platform=${encodeURIComponent(platform)}`
-            : `${API_BASE_URL}/queries/transactions-by-platform`;
+        const query = getReportFilterQuery();
+        if (platform) {
+            query.append('platform', platform);
+        }
             
-        const response = await fetch(url);
+        const response = await fetch(`${API_BASE_URL}/queries/transactions-by-platform?${query}`);
         const data = await response.json();
         
         if (data.success) {
             renderTransactionsTable(data.data);
         }
+        // Validation errors are already shown by the other reports, which get the same filters
     } catch (error) {
         console.error('Error loading transactions:', error);
     }
 }
 
+// Load the payment platform analytics
+async function loadPlatformAnalytics() {
+    try {
+        const query = getReportFilterQuery();
+        query.append('interval', document.getElementById('analyticsInterval').value);
+        
+        const response = await fetch(`${API_BASE_URL}/queries/platform-analytics?${query}`);
+        const data = await response.json();
+        
+        if (data.success) {
+            renderPlatformAnalyticsTable(data.data);
+        }
+        // Validation errors are already shown by the other reports, which get the same filters
+    } catch (error) {
+        console.error('Error loading platform analytics:', error);
+    }
+}
+
+// Format a 0-1 rate as a percentage ('-' when there is no rate)
+function formatRate(rate) {
+    return rate === null || rate === undefined ? '-' : `${(rate * 100).toFixed(1)}%`;
+}
+
+// Render platform analytics table
+function renderPlatformAnalyticsTable(platforms) {
+    const tbody = document.getElementById('analyticsTableBody');
+    
+    if (!platforms || platforms.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="11" class="text-center">No payments found</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = platforms.map(platform => {
+        const change = platform.period_change;
+        let changeCell = '-';
+        if (change) {
+            const volumeClass = change.volume_change === null ? 'text-muted' : change.volume_change >= 0 ? 'text-success' : 'text-danger';
+            const volumeChange = change.volume_change === null ? 'n/a' : `${change.volume_change >= 0 ? '+' : ''}${formatRate(change.volume_change)}`;
+            const rateChange = change.success_rate_change === null
+                ? ''
+                : `<br><small class="text-muted">Success ${change.success_rate_change >= 0 ? '+' : ''}${(change.success_rate_change * 100).toFixed(1)} pts</small>`;
+            changeCell = `<span class="${volumeClass}">${volumeChange}</span> <small class="text-muted">${change.period} vs ${change.previous_period}</small>${rateChange}`;
+        }
+
+        return `
+            <tr>
+                <td><span class="badge bg-primary">${platform.platform_name}</span></td>
+                <td>${platform.total_attempts}</td>
+                <td class="text-success">${formatRate(platform.success_rate)}</td>
+                <td class="text-danger">${formatRate(platform.failure_rate)}</td>
+                <td><strong>${formatCurrency(platform.completed_volume)}</strong></td>
+                <td>${formatRate(platform.volume_share)}</td>
+                <td>${platform.average_ticket === null ? '-' : formatCurrency(platform.average_ticket)}</td>
+                <td>${platform.median_ticket === null ? '-' : formatCurrency(platform.median_ticket)}</td>
+                <td>${platform.average_days_to_payment === null ? '-' : `${platform.average_days_to_payment} days`}</td>
+                <td>${formatRate(platform.retry_rate)}${platform.failed_attempts > 0 ? `<br><small class="text-muted">${platform.recovered_failures} of ${platform.failed_attempts} recovered</small>` : ''}</td>
+                <td>${changeCell}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// Load the geographic report at the level selected in the drill-down: departments, the cities
+// of a department or the clients of a city
+async function loadGeography() {
+    try {
+        const query = getReportFilterQuery();
+        let level = 'department';
+        if (geographyState.department) {
+            level = 'city';
+            query.set('department', geographyState.department);
+        }
+        if (geographyState.city) {
+            level = 'client';
+            query.set('city', geographyState.city);
+        }
+        query.append('level', level);
+        
+        const response = await fetch(`${API_BASE_URL}/queries/geography?${query}`);
+        const data = await response.json();
+        
+        if (data.success) {
+            renderGeographyTable(data.data, level);
+        }
+        // Validation errors are already shown by the other reports, which get the same filters
+    } catch (error) {
+        console.error('Error loading geographic report:', error);
+    }
+}
+
+// Move the geographic drill-down to a department, one of its cities, or back to all departments
+function drillGeography(department = null, city = null) {
+    geographyState = { department, city };
+    loadGeography();
+}
+
+// A department or city as an argument of an inline onclick handler in a single-quoted attribute
+function geographyArg(value) {
+    return JSON.stringify(value).replace(/'/g, '&#39;');
+}
+
+// Render the drill-down breadcrumb and the geographic report table
+function renderGeographyTable(rows, level) {
+    const breadcrumb = [
+        { label: 'All departments', onclick: 'drillGeography()' },
+        geographyState.department && { label: geographyState.department, onclick: `drillGeography(${geographyArg(geographyState.department)})` },
+        geographyState.city && { label: geographyState.city }
+    ].filter(Boolean);
+    
+    document.getElementById('geographyBreadcrumb').innerHTML = breadcrumb.map((item, index) => index === breadcrumb.length - 1
+        ? `<li class="breadcrumb-item active">${item.label}</li>`
+        : `<li class="breadcrumb-item"><a href="#" onclick='${item.onclick}; return false;'>${item.label}</a></li>`
+    ).join('');
+    
+    const nameHeader = { department: 'Department', city: 'City', client: 'Client' }[level];
+    document.getElementById('geographyTableHead').innerHTML = `
+        <tr>
+            <th>${nameHeader}</th>
+            <th>${level === 'client' ? 'Client Code' : 'Clients'}</th>
+            <th>Invoices</th>
+            <th>Invoiced</th>
+            <th>Collected</th>
+            <th>Outstanding</th>
+            <th>Overdue Invoices</th>
+        </tr>
+    `;
+    
+    const tbody = document.getElementById('geographyTableBody');
+    
+    if (!rows || rows.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="text-center">No clients found</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = rows.map(row => {
+        // Clients without a department or city cannot be filtered by it, so those rows do not drill down
+        let name = row.client_name;
+        let onclick = '';
+        if (level === 'department') {
+            name = row.department ? `${row.department} <small class="text-muted">(${row.cities} cities)</small>` : '<em>Unassigned</em>';
+            onclick = row.department ? `drillGeography(${geographyArg(row.department)})` : '';
+        } else if (level === 'city') {
+            name = row.city || '<em>Unassigned</em>';
+            onclick = row.city ? `drillGeography(${geographyArg(geographyState.department)}, ${geographyArg(row.city)})` : '';
+        }
+        
+        return `
+            <tr${onclick ? ` class="cursor-pointer" onclick='${onclick}'` : ''}>
+                <td><strong>${name}</strong></td>
+                <td>${level === 'client' ? row.client_code : row.clients}</td>
+                <td>${row.invoices}</td>
+                <td>${formatCurrency(row.invoiced)}</td>
+                <td>${formatCurrency(row.collected)}</td>
+                <td><strong>${formatCurrency(row.outstanding)}</strong></td>
+                <td>${Number(row.overdue_invoices) > 0 ? `<span class="badge bg-danger">${row.overdue_invoices}</span>` : '0'}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
 // Render transactions table
 function renderTransactionsTable(transactions) {
     const tbody = document.getElementById('transactionsTableBody');
@@ -609,54 +1006,195 @@ function filterTransactionsByPlatform() {
     loadTransactionsByPlatform(platform);
 }
 
+// Download a report as CSV or Excel with the filters currently applied to it
+function exportReport(report, format) {
+    const query = getReportFilterQuery();
+    query.append('format', format);
+    
+    if (report === 'transactions-by-platform') {
+        const platform = document.getElementById('platformFilter').value;
+        if (platform) {
+            query.append('platform', platform);
+        }
+    }
+    
+    window.location.href = `${API_BASE_URL}/queries/${report}?${query}`;
+}
+
+// Load column-mapping profiles for the upload form
+async function loadMappingProfiles() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/data-loader/mapping-profiles`);
+        const data = await response.json();
+        
+        if (data.success) {
+            const select = document.getElementById('mappingProfile');
+            const selected = select.value;
+            select.innerHTML = '<option value="">None (standard headers)</option>' +
+                data.data.map(profile => 
+                    `<option value="${profile.profile_id}">${profile.profile_name}</option>`
+                ).join('');
+            select.value = selected;
+        }
+    } catch (error) {
+        console.error('Error loading mapping profiles:', error);
+    }
+}
+
+// File kept between a dry-run preview and its confirmation
+let pendingUploadFile = null;
+
+// Get the selected CSV or Excel file, warning the user when it is missing or invalid
+function getSelectedCsvFile() {
+    const file = document.getElementById('csvFile').files[0];
+    
+    if (!file) {
+        showAlert('Please select a CSV or Excel file', 'warning');
+        return null;
+    }
+    
+    if (!file.name.toLowerCase().endsWith('.csv') && !isExcelFile(file)) {
+        showAlert('Please select a valid CSV or Excel (.xlsx) file', 'warning');
+        return null;
+    }
+    
+    return file;
+}
+
+function isExcelFile(file) {
+    return file.name.toLowerCase().endsWith('.xlsx');
+}
+
+// Add the conflict policy chosen for each entity to the upload query
+function appendConflictPolicies(query) {
+    ['clientPolicy', 'invoicePolicy', 'transactionPolicy'].forEach(id => {
+        const policy = document.getElementById(id).value;
+        if (policy !== 'overwrite') {
+            query.append(id, policy);
+        }
+    });
+}
+
+// Add the sheet to import to the upload query when the file is a workbook
+function appendSheetParam(query, file) {
+    const sheetName = document.getElementById('sheetName').value.trim();
+    if (isExcelFile(file) && sheetName) {
+        query.append('sheet', sheetName);
+    }
+}
+
 // Handle CSV upload
 async function handleCsvUpload(e) {
     e.preventDefault();
     
-    const fileInput = document.getElementById('csvFile');
-    const file = fileInput.files[0];
-    
+    const file = getSelectedCsvFile();
+    if (file) {
+        await uploadCsvFile(file);
+    }
+}
+
+// Preview the changes the selected CSV file would make, without writing anything
+async function previewCsvUpload() {
+    const file = getSelectedCsvFile();
     if (!file) {
-        showAlert('Please select a CSV file', 'warning');
         return;
     }
     
-    if (!file.name.toLowerCase().endsWith('.csv')) {
-        showAlert('Please select a valid CSV file', 'warning');
+    const profileId = document.getElementById('mappingProfile').value;
+    const formData = new FormData();
+    formData.append('csvFile', file);
+    
+    try {
+        showLoading(true);
+        
+        const query = new URLSearchParams({ dryRun: 'true' });
+        if (profileId) {
+            query.append('profileId', profileId);
+        }
+        appendSheetParam(query, file);
+        appendConflictPolicies(query);
+        const response = await fetch(`${API_BASE_URL}/data-loader/upload?${query}`, {
+            method: 'POST',
+            body: formData
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            pendingUploadFile = file;
+            showUploadPreview(data.data);
+        } else {
+            showAlert(data.message || 'Failed to preview file', 'danger');
+        }
+    } catch (error) {
+        console.error('Error previewing file:', error);
+        showAlert('Failed to preview file', 'danger');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Run the real import of the previewed file
+async function confirmCsvImport() {
+    if (!pendingUploadFile) {
+        showAlert('Nothing to import, preview a file first', 'warning');
         return;
     }
     
+    const file = pendingUploadFile;
+    pendingUploadFile = null;
+    await uploadCsvFile(file);
+}
+
+// Upload and process a CSV or Excel file
+async function uploadCsvFile(file) {
+    const fileInput = document.getElementById('csvFile');
+    const chunkSize = document.getElementById('chunkSize').value;
+    const profileId = document.getElementById('mappingProfile').value;
+    const uploadedBy = document.getElementById('uploadedBy').value.trim();
     const formData = new FormData();
+    if (uploadedBy) {
+        formData.append('uploaded_by', uploadedBy);
+    }
     formData.append('csvFile', file);
     
     try {
         showLoading(true);
         
-        const response = await fetch(`${API_BASE_URL}/data-loader/upload`, {
+        const query = new URLSearchParams();
+        if (chunkSize) {
+            query.append('chunkSize', chunkSize);
+        }
+        if (profileId) {
+            query.append('profileId', profileId);
+        }
+        appendSheetParam(query, file);
+        appendConflictPolicies(query);
+        const response = await fetch(`${API_BASE_URL}/data-loader/upload${query.toString() ? '?' + query : ''}`, {
             method: 'POST',
             body: formData
         });
         
         const data = await response.json();
+        showLoading(false);
+        fileInput.value = '';
         
         if (data.success) {
-            showUploadResults(data);
-            showAlert('CSV file uploaded and processed successfully', 'success');
+            const job = await followImportJob(data.data.job_id, 'File uploaded and processed successfully');
             
             // Reload dashboard data
-            if (document.getElementById('dashboard').classList.contains('active')) {
+            if (job && document.getElementById('dashboard').classList.contains('active')) {
                 loadDashboardData();
             }
         } else {
-            showAlert(data.message || 'Failed to upload CSV file', 'danger');
+            showAlert(data.message || 'Failed to upload file', 'danger');
             if (data.errors) {
                 showUploadErrors(data.errors);
             }
         }
     } catch (error) {
-        console.error('Error uploading CSV:', error);
-        showAlert('Failed to upload CSV file', 'danger');
-    } finally {
+        console.error('Error uploading file:', error);
+        showAlert('Failed to upload file', 'danger');
         showLoading(false);
         fileInput.value = '';
     }
@@ -676,10 +1214,10 @@ async function loadSampleData() {
         });
         
         const data = await response.json();
+        showLoading(false);
         
         if (data.success) {
-            showUploadResults(data);
-            showAlert('Sample data loaded successfully', 'success');
+            await followImportJob(data.data.job_id, 'Sample data loaded successfully');
             
             // Reload all data
             await loadDashboardData();
@@ -695,52 +1233,337 @@ async function loadSampleData() {
     } catch (error) {
         console.error('Error loading sample data:', error);
         showAlert('Failed to load sample data', 'danger');
+        showLoading(false);
+    }
+}
+
+// Follow an import job through its event stream until it finishes; resolves with the job
+function followImportJob(jobId, successMessage) {
+    return new Promise((resolve) => {
+        const errors = [];
+        let progress = { status: 'QUEUED', phase: null, rows_total: 0, rows_processed: 0 };
+        const source = new EventSource(`${API_BASE_URL}/data-loader/jobs/${jobId}/events`);
+        
+        showImportProgress(progress, errors);
+        
+        source.addEventListener('progress', (event) => {
+            progress = JSON.parse(event.data);
+            showImportProgress(progress, errors);
+        });
+        
+        source.addEventListener('row-error', (event) => {
+            errors.push(JSON.parse(event.data).error);
+            showImportProgress(progress, errors);
+        });
+        
+        source.addEventListener('done', (event) => {
+            source.close();
+            const job = JSON.parse(event.data);
+            
+            if (job.stats) {
+                showUploadResults({ success: job.status === 'COMPLETED', data: job.stats }, job.batch_id);
+            }
+            if (job.status === 'COMPLETED') {
+                showAlert(successMessage, 'success');
+            } else {
+                showAlert(job.message || 'Import failed', 'danger');
+            }
+            loadImportHistory();
+            resolve(job);
+        });
+        
+        source.onerror = () => {
+            source.close();
+            showAlert('Lost connection to the import job', 'warning');
+            resolve(null);
+        };
+    });
+}
+
+// Load import history
+async function loadImportHistory() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/data-loader/imports`);
+        const data = await response.json();
+        
+        if (data.success) {
+            renderImportHistoryTable(data.data);
+        } else {
+            showAlert('Failed to load import history', 'danger');
+        }
+    } catch (error) {
+        console.error('Error loading import history:', error);
+        showAlert('Failed to load import history', 'danger');
+    }
+}
+
+// Render import history table
+function renderImportHistoryTable(imports) {
+    const tbody = document.getElementById('importHistoryTableBody');
+    
+    if (imports.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="10" class="text-center">No imports found</td></tr>';
+        return;
+    }
+    
+    const statusColors = {
+        RUNNING: 'info',
+        COMPLETED: 'success',
+        PARTIAL: 'warning',
+        ROLLED_BACK: 'danger',
+        FAILED: 'danger',
+        REVERTED: 'secondary'
+    };
+    const canRevert = ['COMPLETED', 'PARTIAL'];
+    
+    tbody.innerHTML = imports.map(batch => `
+        <tr>
+            <td>${batch.batch_id}</td>
+            <td>${batch.file_name}</td>
+            <td>${batch.uploaded_by || '-'}</td>
+            <td>${formatDate(batch.started_at)}</td>
+            <td><span class="badge bg-${statusColors[batch.status]}">${batch.status}</span></td>
+            <td>${batch.rows_total}</td>
+            <td>${batch.clients_created + batch.invoices_created + batch.transactions_created}</td>
+            <td>${batch.clients_updated + batch.invoices_updated + batch.transactions_updated}</td>
+            <td>${batch.errors_count}</td>
+            <td>
+                ${batch.rows_failed > 0 ? `
+                    <a class="btn btn-sm btn-outline-secondary" href="${failedRowsUrl(batch.batch_id)}">
+                        <i class="bi bi-download"></i> Failed rows
+                    </a>
+                ` : ''}
+                ${canRevert.includes(batch.status) ? `
+                    <button class="btn btn-sm btn-outline-danger" onclick="rollbackImport(${batch.batch_id})">
+                        <i class="bi bi-arrow-counterclockwise"></i> Revert
+                    </button>
+                ` : ''}
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Revert everything an import created or updated
+async function rollbackImport(batchId) {
+    if (!confirm('This will revert every client, invoice and transaction created or updated by this import. Continue?')) {
+        return;
+    }
+    
+    try {
+        showLoading(true);
+        
+        const response = await fetch(`${API_BASE_URL}/data-loader/imports/${batchId}/rollback`, {
+            method: 'POST'
+        });
+        
+        const data = await response.json();
+        
+        if (data.success) {
+            showAlert('Import reverted successfully', 'success');
+            loadImportHistory();
+        } else {
+            showAlert(data.message || 'Failed to revert import', 'danger');
+        }
+    } catch (error) {
+        console.error('Error reverting import:', error);
+        showAlert('Failed to revert import', 'danger');
     } finally {
         showLoading(false);
     }
 }
 
-// Show upload results
-function showUploadResults(data) {
+// Show the progress of a running import job and the row errors received so far
+function showImportProgress(progress, errors) {
+    const resultsDiv = document.getElementById('uploadResults');
+    const percent = progress.rows_total > 0
+        ? Math.round(progress.rows_processed / progress.rows_total * 100)
+        : 0;
+    
+    resultsDiv.innerHTML = `
+        <p class="mb-2">
+            Importing: ${progress.rows_processed} of ${progress.rows_total} rows
+            ${progress.phase ? `<span class="text-muted">(${progress.phase})</span>` : ''}
+        </p>
+        <div class="progress mb-3">
+            <div class="progress-bar progress-bar-striped progress-bar-animated" role="progressbar"
+                style="width: ${percent}%">${percent}%</div>
+        </div>
+        ${errors.length > 0 ? `
+            <div class="alert alert-danger" style="max-height: 300px; overflow-y: auto;">
+                <ul class="mb-0">${errors.map(error => `<li>${formatImportError(error)}</li>`).join('')}</ul>
+            </div>
+        ` : ''}
+    `;
+}
+
+// Show upload results; batchId links the failed rows of the import for download
+function showUploadResults(data, batchId = null) {
     const resultsDiv = document.getElementById('uploadResults');
+    const stats = data.data;
     
-    if (data.summary) {
+    if (stats) {
         resultsDiv.innerHTML = `
-            <div class="alert alert-success">
+            <div class="alert alert-${data.success ? 'success' : 'warning'}">
                 <h6><i class="bi bi-check-circle me-2"></i>Upload Summary</h6>
                 <ul class="mb-0">
-                    <li>Clients created: ${data.summary.clients_created}</li>
-                    <li>Clients updated: ${data.summary.clients_updated}</li>
-                    <li>Invoices created: ${data.summary.invoices_created}</li>
-                    <li>Invoices updated: ${data.summary.invoices_updated}</li>
-                    <li>Transactions created: ${data.summary.transactions_created}</li>
-                    <li>Transactions updated: ${data.summary.transactions_updated}</li>
+                    <li>Clients created: ${stats.clients_created}</li>
+                    <li>Clients updated: ${stats.clients_updated}</li>
+                    <li>Clients skipped: ${stats.clients_skipped || 0}</li>
+                    <li>Invoices created: ${stats.invoices_created}</li>
+                    <li>Invoices updated: ${stats.invoices_updated}</li>
+                    <li>Invoices skipped: ${stats.invoices_skipped || 0}</li>
+                    <li>Transactions created: ${stats.transactions_created}</li>
+                    <li>Transactions updated: ${stats.transactions_updated}</li>
+                    <li>Transactions skipped: ${stats.transactions_skipped || 0}</li>
                 </ul>
-                ${data.summary.errors && data.summary.errors.length > 0 ? 
-                    `<hr><strong>Errors:</strong><ul>${data.summary.errors.map(e => `<li>${e.client_code}: ${e.error}</li>`).join('')}</ul>` : 
+                ${stats.warnings && stats.warnings.length > 0 ? 
+                    `<hr><strong>Warnings:</strong><ul>${stats.warnings.map(w => `<li>${formatImportError(w)}</li>`).join('')}</ul>` : 
                     ''
                 }
             </div>
         `;
+        if (stats.errors && stats.errors.length > 0) {
+            resultsDiv.innerHTML += renderImportErrors(stats.errors, stats.rows_failed > 0 ? batchId : null);
+        }
     } else {
         resultsDiv.innerHTML = '<p class="text-muted">No upload results to display.</p>';
     }
 }
 
-// Show upload errors
-function showUploadErrors(errors) {
+// Show the dry-run preview with the action and field changes of every row
+function showUploadPreview(preview) {
     const resultsDiv = document.getElementById('uploadResults');
+    const summary = preview.summary;
+    const badgeColors = { create: 'success', update: 'warning', unchanged: 'secondary', skip: 'info' };
+    
+    const renderEntity = (label, entity) => {
+        const changes = entity.changes ? Object.keys(entity.changes).map(field =>
+            `<div class="small text-muted">${field}: ${entity.changes[field].before ?? '-'} &rarr; ${entity.changes[field].after ?? '-'}</div>`
+        ).join('') : '';
+        return `
+            <div>
+                <span class="badge bg-${badgeColors[entity.action]}">${entity.action}</span>
+                ${label} ${entity.key}
+                ${changes}
+            </div>
+        `;
+    };
+    
+    const rows = preview.rows.map(row => {
+        if (row.status === 'REJECTED') {
+            return `
+                <tr class="table-danger">
+                    <td>${row.row}</td>
+                    <td colspan="3">
+                        <span class="badge bg-danger">rejected</span>
+                        ${row.errors.map(error => `<div class="small">${formatImportError(error)}</div>`).join('')}
+                        ${row.warnings.map(warning => `<div class="small text-muted">${formatImportError(warning)}</div>`).join('')}
+                    </td>
+                </tr>
+            `;
+        }
+        return `
+            <tr class="${row.warnings.length > 0 ? 'table-warning' : ''}">
+                <td>${row.row}</td>
+                <td>${renderEntity('Client', row.client)}</td>
+                <td>${renderEntity('Invoice', row.invoice)}</td>
+                <td>
+                    ${renderEntity('Transaction', row.transaction)}
+                    ${row.warnings.map(warning => `<div class="small text-warning-emphasis">${formatImportError(warning)}</div>`).join('')}
+                </td>
+            </tr>
+        `;
+    }).join('');
     
     resultsDiv.innerHTML = `
-        <div class="alert alert-danger">
-            <h6><i class="bi bi-exclamation-triangle me-2"></i>Upload Errors</h6>
+        <div class="alert alert-info">
+            <h6><i class="bi bi-eye me-2"></i>Preview (no changes written yet)</h6>
             <ul class="mb-0">
-                ${errors.map(error => `<li>Row ${error.row}: ${error.error}</li>`).join('')}
+                <li>Rows: ${summary.rows_total} (${summary.rows_valid} valid, ${summary.rows_rejected} rejected, ${summary.rows_with_warnings} with warnings)</li>
+                <li>Clients: ${summary.clients_to_create} to create, ${summary.clients_to_update} to update, ${summary.clients_unchanged} unchanged, ${summary.clients_to_skip} to skip</li>
+                <li>Invoices: ${summary.invoices_to_create} to create, ${summary.invoices_to_update} to update, ${summary.invoices_unchanged} unchanged, ${summary.invoices_to_skip} to skip</li>
+                <li>Transactions: ${summary.transactions_to_create} to create, ${summary.transactions_to_update} to update, ${summary.transactions_unchanged} unchanged, ${summary.transactions_to_skip} to skip</li>
             </ul>
         </div>
+        <div class="table-responsive mb-3" style="max-height: 400px;">
+            <table class="table table-sm">
+                <thead>
+                    <tr>
+                        <th>Row</th>
+                        <th>Client</th>
+                        <th>Invoice</th>
+                        <th>Transaction</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        <button class="btn btn-primary" onclick="confirmCsvImport()">
+            <i class="bi bi-check-lg me-2"></i>Confirm Import
+        </button>
+    `;
+}
+
+// Show upload errors
+function showUploadErrors(errors, batchId = null) {
+    const resultsDiv = document.getElementById('uploadResults');
+    
+    resultsDiv.innerHTML = renderImportErrors(errors, batchId);
+}
+
+// Table of structured import errors, with a link to download the failed rows when the import was recorded
+function renderImportErrors(errors, batchId = null) {
+    const severityColors = { ERROR: 'danger', WARNING: 'warning' };
+    
+    return `
+        <div class="alert alert-danger">
+            <h6><i class="bi bi-exclamation-triangle me-2"></i>Upload Errors</h6>
+            ${batchId ? `
+                <a class="btn btn-sm btn-outline-danger mb-2" href="${failedRowsUrl(batchId)}">
+                    <i class="bi bi-download me-1"></i>Download failed rows (CSV)
+                </a>
+            ` : ''}
+            <div class="table-responsive" style="max-height: 300px;">
+                <table class="table table-sm mb-0">
+                    <thead>
+                        <tr>
+                            <th>Row</th>
+                            <th>Column</th>
+                            <th>Value</th>
+                            <th>Rule</th>
+                            <th>Severity</th>
+                            <th>Message</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${errors.map(error => `
+                            <tr>
+                                <td>${error.sheet ? `${error.sheet}!` : ''}${error.row || '-'}</td>
+                                <td>${error.column || '-'}</td>
+                                <td>${error.value ?? '-'}</td>
+                                <td>${error.rule || '-'}</td>
+                                <td><span class="badge bg-${severityColors[error.severity] || 'danger'}">${error.severity || 'ERROR'}</span></td>
+                                <td>${error.message}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </div>
     `;
 }
 
+// One line describing a structured import error or warning
+function formatImportError(error) {
+    const location = `${error.sheet ? `Sheet '${error.sheet}', ` : ''}${error.row ? `Row ${error.row}` : 'File'}`;
+    return `${location}${error.column ? ` [${error.column}]` : ''}: ${error.message}`;
+}
+
+// Download URL of the rows an import could not load, as CSV with an error column
+function failedRowsUrl(batchId) {
+    return `${API_BASE_URL}/data-loader/imports/${batchId}/failed-rows`;
+}
+
 // Setup client form validation
 function setupClientFormValidation() {
     const form = document.getElementById('clientForm');
@@ -820,11 +1643,21 @@ function formatDate(dateString) {
 // Export functions for global access
 window.showSection = showSection;
 window.loadClients = loadClients;
+window.sortClients = sortClients;
+window.loadRevenueTrend = loadRevenueTrend;
+window.loadPlatformAnalytics = loadPlatformAnalytics;
+window.drillGeography = drillGeography;
 window.searchClients = searchClients;
 window.showClientModal = showClientModal;
 window.saveClient = saveClient;
 window.editClient = editClient;
 window.deleteClient = deleteClient;
 window.loadSampleData = loadSampleData;
+window.previewCsvUpload = previewCsvUpload;
+window.confirmCsvImport = confirmCsvImport;
+window.rollbackImport = rollbackImport;
 window.filterTransactionsByPlatform = filterTransactionsByPlatform;
+window.exportReport = exportReport;
+window.loadReports = loadReports;
+window.resetReportFilters = resetReportFilters;
 